@@ -12,23 +12,199 @@ import fs from 'fs';
 import readline from 'readline';
 import { parseArgs } from '../lib/cli/parser.js';
 import { generateHelp, getVersion } from '../lib/cli/help.js';
-import { sendRequest, getRequestString } from '../lib/http/client.js';
-import { createRequestObject, parseProxy } from '../lib/http/request.js';
-import { parseResponse } from '../lib/http/response.js';
-import { processResponseCookies } from '../lib/cookies/manager.js';
+import { loadWriteOut, formatWriteOut } from '../lib/cli/writeout.js';
+import { sendRequest, getRequestString, translateSocketError, isKnownSocketError } from '../lib/http/client.js';
+import { createRequestObject, parseProxyChain, loadRequestData, loadJsonData, loadRawRequest, hasChunkedHeader } from '../lib/http/request.js';
+import { describeBody } from '../lib/http/body.js';
+import { parseResponse, isBinaryBody } from '../lib/http/response.js';
+import { followRedirects, formatUrl } from '../lib/http/redirect.js';
+import { processResponseCookies, saveCookies } from '../lib/cookies/manager.js';
 import { WebSocketClient } from '../lib/websocket/client.js';
+import { getProxyHops, formatProxy } from '../lib/transport/connection.js';
+import { ConnectionPool } from '../lib/transport/pool.js';
+import { parseResolve, parseConnectTo, resolveTarget } from '../lib/transport/resolve.js';
+import { resolveInterface, parseLocalPort } from '../lib/transport/tcp.js';
+import { getTlsInfo } from '../lib/transport/tls.js';
 import { disableColors, colors } from '../lib/utils/colors.js';
 import logger from '../lib/utils/logger.js';
-import { parseUrl, isWebSocketUrl, getDefaultPort } from '../lib/utils/validators.js';
+import { createTimings, getTimingPhases } from '../lib/utils/timing.js';
+import { findJsonError, formatJson } from '../lib/utils/json.js';
+import { parseUrl, isWebSocketUrl, getDefaultPort, formatHost } from '../lib/utils/validators.js';
 import {
     EXIT_CODES,
     ValidationError,
     ConnectionError,
     HttpError,
     TimeoutError,
+    TlsError,
+    PinnedKeyError,
     WebSocketError,
 } from '../lib/utils/errors.js';
 
+/**
+ * Print response body to stdout
+ * Text is decoded with the charset from Content-Type. Binary bodies are
+ * written as bytes when stdout is redirected, and withheld from a terminal.
+ * @param {object} parsedResponse - Parsed response (from parseResponse)
+ * @param {boolean} prettyJson - Pretty-print valid JSON bodies (--json)
+ */
+function printBody(parsedResponse, prettyJson = false) {
+    const { body } = parsedResponse;
+
+    if (prettyJson && parsedResponse.isJson() && !findJsonError(parsedResponse.text())) {
+        console.log(formatJson(parsedResponse.text()));
+    } else if (!parsedResponse.isBinary()) {
+        console.log(parsedResponse.text());
+    } else if (process.stdout.isTTY) {
+        logger.warning(`Binary body (${body.length} bytes) not shown. Use -o <file> to save it`);
+    } else {
+        process.stdout.write(body);
+    }
+}
+
+/**
+ * Check if an error is a known TLS error about the target (certificate checks, client certificate alerts)
+ * Those get the same messages as for HTTP requests.
+ * @param {Error} err - Error from the connection
+ * @returns {boolean}
+ */
+function isTargetTlsError(err) {
+    return (err instanceof TlsError || String(err.code).startsWith('ERR_SSL_')) && isKnownSocketError(err);
+}
+
+/**
+ * Format source address and port for verbose output
+ * @param {string} localAddress - Source address (from --interface)
+ * @param {object} localPort - Source port range (from --local-port)
+ * @returns {string}
+ */
+function formatSource(localAddress, localPort) {
+    const address = localAddress ? formatHost(localAddress) : '(any)';
+    if (!localPort) {
+        return address;
+    }
+    const range = localPort.from === localPort.to ? localPort.from : `${localPort.from}-${localPort.to}`;
+    return `${address} port ${range}`;
+}
+
+/**
+ * Log proxy chain for verbose output
+ * @param {object} proxy - Last proxy (from parseProxyChain), or null
+ */
+function logProxy(proxy) {
+    const hops = getProxyHops(proxy);
+    if (hops.length === 0) {
+        logger.info(`Proxy: (none - direct connection)`);
+        return;
+    }
+
+    logger.info(`Proxy: ${hops.map(formatProxy).join(' → ')}`);
+    for (const hop of hops.filter(h => h.username)) {
+        logger.info(`Proxy user: ${hop.username}${hops.length > 1 ? ` (${formatProxy(hop)})` : ''}`);
+    }
+}
+
+/**
+ * Format timing breakdown for verbose output
+ * Shows how long each phase took; phases that did not happen are left out.
+ * @param {Timings} timings - Request timings (from the parsed response)
+ * @returns {string}
+ */
+function formatTimings(timings) {
+    const phases = getTimingPhases(timings);
+    const labels = {
+        dnsLookup: 'DNS',
+        tcpConnect: 'connect',
+        tlsHandshake: 'TLS',
+        requestSent: 'send',
+        firstByte: 'wait',
+        end: 'receive',
+    };
+
+    let previous = 0;
+    const parts = [];
+    for (const [phase, label] of Object.entries(labels)) {
+        if (timings[phase] !== null) {
+            parts.push(`${label} ${(phases[phase] - previous).toFixed(1)}ms`);
+        }
+        previous = phases[phase];
+    }
+    parts.push(`total ${phases.end.toFixed(1)}ms${timings.reused ? ' (reused connection)' : ''}`);
+
+    return parts.join(', ');
+}
+
+/**
+ * Print TLS details of a connection (--tls-info)
+ * @param {object} info - TLS info (from getTlsInfo)
+ * @param {string} host - Target host
+ */
+function printTlsInfo(info, host) {
+    logger.separator('-');
+    logger.title(`TLS: ${host}`);
+    logger.separator('-');
+    logger.info(`Protocol: ${info.protocol}`);
+    logger.info(`Cipher: ${info.cipher}`);
+    logger.info(`Key exchange: ${info.keyExchange || '(none)'}`);
+    logger.info(`ALPN: ${info.alpn || '(not negotiated)'}`);
+    logger.info(`OCSP stapling: ${info.ocsp ? `yes (${info.ocsp} bytes)` : 'no'}`);
+    if (info.authorized) {
+        logger.success('Certificate verified');
+    } else {
+        logger.warning(`Certificate not verified: ${info.authorizationError || 'unknown reason'}`);
+    }
+
+    info.chain.forEach((cert, index) => {
+        const label = index === 0 ? 'server' : `issuer ${index}`;
+        const expiry = cert.daysLeft < 0 ? `${colors.red}expired${colors.reset}` : `${cert.daysLeft} days left`;
+        logger.info(`Certificate ${index} (${label}): ${cert.subject}`);
+        if (cert.altNames) {
+            logger.raw(`    SANs:    ${cert.altNames}`);
+        }
+        logger.raw(`    Issuer:  ${cert.issuer}`);
+        logger.raw(`    Valid:   ${cert.validFrom} → ${cert.validTo} (${expiry})`);
+        logger.raw(`    Key:     ${cert.key}`);
+        logger.raw(`    Serial:  ${cert.serialNumber}`);
+        logger.raw(`    SHA-256: ${cert.sha256}`);
+        logger.raw(`    SHA-1:   ${cert.sha1}`);
+        if (cert.pin) {
+            logger.raw(`    Pin:     ${cert.pin}`);
+        }
+    });
+}
+
+/**
+ * Log a redirect hop (-L)
+ * Verbose mode shows each redirect response and the request that follows it.
+ * @param {object} hop - Redirect hop (from followRedirects)
+ * @param {object} params - CLI parameters
+ * @param {ConnectionPool} pool - Connection pool (for the request preview)
+ */
+function logRedirect(hop, params, pool) {
+    const { parsedResponse, next, count, cookies } = hop;
+
+    if (params.cookieJar && cookies.length > 0) {
+        saveCookies(cookies, params.cookieJar, hop.requestObj.host);
+    }
+    if (params.silent) {
+        return;
+    }
+
+    if (params.verbose) {
+        logger.separator('-');
+        logger.title(`Redirect ${count}`);
+        logger.separator('-');
+        console.log(`${parsedResponse.head}\r\n`);
+    }
+    logger.info(`${parsedResponse.statusCode} ${parsedResponse.statusText} → ${next.method} ${formatUrl(next)}`);
+    if (params.verbose) {
+        logger.separator('-');
+        logger.title('HTTP Request');
+        logger.separator('-');
+        console.log(getRequestString(next, { pool }));
+    }
+}
+
 /**
  * Handle WebSocket connection
  * @param {object} params - CLI parameters
@@ -39,17 +215,16 @@ async function handleWebSocket(params, urlInfo) {
     const path = urlInfo.path;
     const port = params.port !== 80 ? params.port : (urlInfo.port || getDefaultPort(urlInfo.protocol));
     const isSecure = urlInfo.protocol === 'wss';
+    const scheme = isSecure ? 'wss' : 'ws';
 
-    // WSS (TLS) not yet supported
-    if (isSecure) {
-        throw new ValidationError(
-            'wss:// (WebSocket over TLS) is not yet supported. Use ws:// instead.',
-            'protocol'
-        );
-    }
-
-    // Parse proxy if provided (reuse same parser as HTTP)
-    const proxy = parseProxy(params.proxy);
+    // Parse proxy chain if provided (reuse same parser as HTTP)
+    const proxy = parseProxyChain(params.proxy, params.proxyUser);
+    const resolve = parseResolve(params.resolve);
+    const connectTo = parseConnectTo(params.connectTo);
+    const target = resolveTarget(host, port, { resolve, connectTo });
+    const family = params.ipv4 ? 4 : (params.ipv6 ? 6 : 0);
+    const localAddress = resolveInterface(params.interface, family);
+    const localPort = parseLocalPort(params.localPort);
 
     // Log configuration in verbose mode
     if (params.verbose && !params.silent) {
@@ -60,10 +235,28 @@ async function handleWebSocket(params, urlInfo) {
         logger.info(`Path: ${path}`);
         logger.info(`Port: ${port}`);
         logger.info(`Secure: ${isSecure ? 'Yes (wss)' : 'No (ws)'}`);
-        if (proxy) {
-            logger.info(`Proxy: ${proxy.host}:${proxy.port}`);
+        if (target.overridden) {
+            logger.info(`Connect to: ${target.hosts.join(', ')} port ${target.port} (override)`);
+        }
+        if (localAddress || localPort) {
+            logger.info(`Source: ${formatSource(localAddress, localPort)}`);
+        }
+        if (isSecure && params.insecure) {
+            logger.info(`TLS verification: disabled`);
+        }
+        if (isSecure && params.cacert) {
+            logger.info(`CA bundle: ${params.cacert}`);
+        }
+        if (isSecure && params.cert) {
+            logger.info(`Client certificate: ${params.cert} (${params.certType})`);
+        }
+        if (isSecure && params.pinnedPubKey) {
+            logger.info(`Pinned public key: ${params.pinnedPubKey}`);
+        }
+        if (params.unixSocket) {
+            logger.info(`Unix socket: ${params.unixSocket}`);
         } else {
-            logger.info(`Proxy: (none - direct connection)`);
+            logProxy(proxy);
         }
         logger.info(`Timeout: ${params.timeout}ms`);
         logger.info(`Listen: ${params.wsListen}ms`);
@@ -84,6 +277,27 @@ async function handleWebSocket(params, urlInfo) {
         headers: params.header || [],
         timeout: params.timeout,
         proxy,
+        socketPath: params.unixSocket,
+        family,
+        localAddress,
+        localPort,
+        resolve,
+        connectTo,
+        secure: isSecure,
+        tls: {
+            insecure: params.insecure,
+            cacert: params.cacert,
+            cert: params.cert,
+            key: params.key,
+            pass: params.pass,
+            certType: params.certType,
+            minVersion: params.tlsMin,
+            maxVersion: params.tlsMax,
+            ciphers: params.ciphers,
+            curves: params.curves,
+            ocsp: params.tlsInfo,
+            pinnedPubKey: params.pinnedPubKey,
+        },
     });
 
     // Track connection state
@@ -124,7 +338,10 @@ async function handleWebSocket(params, urlInfo) {
         // Event handlers
         ws.on('open', () => {
             connected = true;
-            output.success(`Connected to ws://${host}:${port}${path}`);
+            output.success(`Connected to ${scheme}://${formatHost(host)}:${port}${path}`);
+            if (params.tlsInfo && isSecure) {
+                printTlsInfo(getTlsInfo(ws.socket), host);
+            }
 
             // Send messages
             for (const msg of params.wsSend) {
@@ -226,14 +443,19 @@ async function handleWebSocket(params, urlInfo) {
 
         ws.on('error', (err) => {
             connected = false;
-            output.error(`WebSocket error: ${err.message}`);
-            reject(new WebSocketError(err.message));
+            const message = isTargetTlsError(err) ? translateSocketError(err, host, port) : err.message;
+            output.error(`WebSocket error: ${message}`);
+            reject(new WebSocketError(message));
         });
 
         // Connect
-        output.info(`Connecting to ws://${host}:${port}${path}...`);
+        output.info(`Connecting to ${scheme}://${formatHost(host)}:${port}${path}...`);
         
         ws.connect().catch((err) => {
+            if (isTargetTlsError(err)) {
+                reject(new TlsError(translateSocketError(err, host, port), err.code, err));
+                return;
+            }
             reject(err);
         });
     });
@@ -243,19 +465,26 @@ async function handleWebSocket(params, urlInfo) {
  * Handle HTTP request
  * @param {object} params - CLI parameters
  * @param {object} urlInfo - Parsed URL info
+ * @param {ConnectionPool} pool - Connection pool shared by all URLs
+ * @param {string} writeOut - Write-out template (from loadWriteOut)
  */
-async function handleHttp(params, urlInfo) {
+async function handleHttp(params, urlInfo, pool, writeOut = '') {
     const host = urlInfo.host;
     const path = urlInfo.path;
-    const port = params.port !== 80 ? params.port : (urlInfo.port || 80);
+    const protocol = urlInfo.protocol || 'http';
+    const port = params.port !== 80 ? params.port : (urlInfo.port || getDefaultPort(protocol));
 
     // Create request object
     const requestObj = createRequestObject({
         ...params,
+        protocol,
         host,
         path,
         port,
+        username: urlInfo.username,
+        password: urlInfo.password,
     });
+    const target = resolveTarget(host, requestObj.port, requestObj);
 
     // Verbose logging
     if (params.verbose && !params.silent) {
@@ -263,22 +492,54 @@ async function handleHttp(params, urlInfo) {
         logger.title('Request Configuration');
         logger.separator('-');
         logger.info(`Host: ${host}`);
-        logger.info(`Path: ${path}`);
+        logger.info(`Path: ${requestObj.path}`);
         logger.info(`Port: ${requestObj.port}`);
         logger.info(`Method: ${requestObj.method}`);
-        if (requestObj.proxy && requestObj.proxy.host) {
-            logger.info(`Proxy: ${requestObj.proxy.host}:${requestObj.proxy.port}`);
+        if (target.overridden) {
+            logger.info(`Connect to: ${target.hosts.join(', ')} port ${target.port} (override)`);
+        }
+        if (requestObj.localAddress || requestObj.localPort) {
+            logger.info(`Source: ${formatSource(requestObj.localAddress, requestObj.localPort)}`);
+        }
+        if (protocol === 'https') {
+            logger.info(`TLS: Yes${requestObj.tls.insecure ? ' (verification disabled)' : ''}`);
+            if (requestObj.tls.cacert) {
+                logger.info(`CA bundle: ${requestObj.tls.cacert}`);
+            }
+            if (requestObj.tls.cert) {
+                logger.info(`Client certificate: ${requestObj.tls.cert} (${requestObj.tls.certType})`);
+            }
+            if (requestObj.tls.pinnedPubKey) {
+                logger.info(`Pinned public key: ${requestObj.tls.pinnedPubKey}`);
+            }
+        }
+        if (requestObj.unixSocket) {
+            logger.info(`Unix socket: ${requestObj.unixSocket}`);
         } else {
-            logger.info(`Proxy: (none - direct connection)`);
+            logProxy(requestObj.proxy);
         }
         logger.info(`Timeout: ${requestObj.timeout}ms`);
+        if (requestObj.auth) {
+            logger.info(`Auth: ${requestObj.auth.type === 'digest' ? 'Digest' : 'Basic'} (${requestObj.auth.username})`);
+        }
         
-        if (requestObj.data) {
-            logger.info(`Body: ${requestObj.data}`);
+        if (requestObj.rawRequest) {
+            const fixes = [params.fixHost && 'Host', params.fixContentLength && 'Content-Length'].filter(Boolean);
+            logger.info(`Raw request: ${requestObj.rawRequest.length} bytes${fixes.length > 0 ? ` (${fixes.join(', ')} fixed)` : ''}`);
+        }
+        if (Array.isArray(requestObj.data)) {
+            logger.info(`Body: ${describeBody(requestObj.data)}`);
+        } else if (requestObj.data.length > 0) {
+            logger.info(isBinaryBody(requestObj.data)
+                ? `Body: ${requestObj.data.length} bytes (binary)`
+                : `Body: ${requestObj.data}`);
         }
         if (requestObj.form && requestObj.form.length > 0) {
             logger.info(`Form: ${requestObj.form.length} field(s)`);
         }
+        if (requestObj.chunked || hasChunkedHeader(requestObj.headers)) {
+            logger.info('Upload: chunked');
+        }
         if (requestObj.cookie) {
             logger.info(`Cookie: ${requestObj.cookie}`);
         }
@@ -292,28 +553,77 @@ async function handleHttp(params, urlInfo) {
         logger.separator('-');
         logger.title('HTTP Request');
         logger.separator('-');
-        console.log(getRequestString(requestObj));
+        console.log(getRequestString(requestObj, { pool }));
     }
 
         // Send request
         if (!params.silent) {
-            const useProxy = requestObj.proxy && requestObj.proxy.host;
-            const connectTarget = useProxy 
-                ? `${requestObj.proxy.host}:${requestObj.proxy.port} (proxy)`
-                : `${host}:${requestObj.port}`;
+            const hops = getProxyHops(requestObj.proxy);
+            let connectTarget = `${formatHost(target.hosts[0])}:${target.port}`;
+            if (requestObj.unixSocket) {
+                connectTarget = `${requestObj.unixSocket} (unix socket)`;
+            } else if (hops.length > 0) {
+                const chain = hops.length > 1 ? `, then ${hops.length - 1} more` : '';
+                connectTarget = `${formatHost(hops[0].host)}:${hops[0].port} (proxy${chain})`;
+            }
             logger.info(`Connecting to ${connectTarget}...`);
         }
 
-        const response = await sendRequest(requestObj);
-
-        // Parse response
-        const parsedResponse = parseResponse(response);
+        const parseOptions = {
+            rawBody: params.rawBody,
+            decompress: requestObj.compressed,
+        };
+        const followLocation = params.location || params.locationTrusted;
+
+        // TLS details, once per new connection (redirects may lead to other hosts)
+        const onConnect = params.tlsInfo
+            ? (socket, reused) => {
+                if (socket.encrypted && !reused) {
+                    printTlsInfo(getTlsInfo(socket), socket.servername || host);
+                }
+            }
+            : null;
+        let response;
+        let parsedResponse;
+        let finalRequest = requestObj;
+        let chain = null;
+        let receivedCookies = null;
+
+        if (followLocation) {
+            // Send request, following redirects
+            const result = await followRedirects(requestObj, {
+                maxRedirs: params.maxRedirs,
+                trusted: params.locationTrusted,
+                parse: parseOptions,
+                pool,
+                onConnect,
+                onRedirect: (hop) => logRedirect(hop, params, pool),
+            });
+            ({ response, parsedResponse, chain } = result);
+            finalRequest = result.requestObj;
+            receivedCookies = result.cookies;
+        } else {
+            const timings = createTimings();
+            response = await sendRequest(requestObj, { pool, timings, onConnect });
+            parsedResponse = parseResponse(response, { ...parseOptions, timings });
+        }
+        const contentDecoded = parsedResponse.valid && requestObj.compressed &&
+            !params.rawBody && Boolean(parsedResponse.headers['content-encoding']);
 
         // Response logging
         if (params.verbose && !params.silent) {
             logger.separator('-');
             logger.title('HTTP Response');
             logger.separator('-');
+            if (contentDecoded) {
+                logger.info(`Body: ${parsedResponse.encodedSize} bytes (${parsedResponse.headers['content-encoding']}), ` +
+                    `${parsedResponse.decodedSize} bytes decoded`);
+            }
+            logger.info(`Timing: ${formatTimings(parsedResponse.timings)}`);
+        }
+        
+        if (parsedResponse.decodeError && !params.silent) {
+            logger.warning(parsedResponse.decodeError);
         }
 
         // Save to file if specified
@@ -325,29 +635,45 @@ async function handleHttp(params, urlInfo) {
         }
 
         // Show response
-        if (params.silent) {
-            // Silent mode: only body
-            console.log(parsedResponse.body);
+        if (!parsedResponse.valid) {
+            // Not HTTP: show what was received
+            console.log(response.toString());
+        } else if (params.silent) {
+            // Silent mode: only body (none with -o, e.g. for -w scripts)
+            if (!requestObj.output) {
+                printBody(parsedResponse, requestObj.json);
+            }
         } else if (params.verbose) {
-            // Verbose mode: full response
-            console.log(response);
+            // Verbose mode: full response (body as printed in normal mode)
+            console.log(`${parsedResponse.head}\r\n`);
+            printBody(parsedResponse, requestObj.json);
         } else {
             // Normal mode: status + body
             const statusColor = parsedResponse.statusCode < 400 ? colors.green : colors.red;
             logger.success(`Status: ${statusColor}${parsedResponse.statusCode} ${parsedResponse.statusText}${colors.reset}`);
             if (!requestObj.output) {
-                console.log(parsedResponse.body);
+                printBody(parsedResponse, requestObj.json);
             }
         }
 
-        // Process cookies
+        // Process cookies (with -L, everything received along the redirect chain)
         if (params.cookieJar) {
-            const { saved } = processResponseCookies(response, params.cookieJar, host);
+            let saved = 0;
+            if (!receivedCookies) {
+                ({ saved } = processResponseCookies(response, params.cookieJar, host));
+            } else if (receivedCookies.length > 0) {
+                saved = saveCookies(receivedCookies, params.cookieJar, host);
+            }
             if (saved > 0 && !params.silent) {
                 logger.success(`${saved} cookie(s) saved to ${params.cookieJar}`);
             }
         }
 
+        // Write-out template (also in silent mode, like curl)
+        if (writeOut) {
+            process.stdout.write(formatWriteOut(writeOut, { requestObj: finalRequest, parsedResponse, chain }));
+        }
+
         // Exit code based on HTTP status
         if (parsedResponse.isClientError && parsedResponse.isClientError()) {
         return EXIT_CODES.HTTP_ERROR;
@@ -359,6 +685,17 @@ async function handleHttp(params, urlInfo) {
     return EXIT_CODES.SUCCESS;
 }
 
+/**
+ * Exit once everything written to stdout has been flushed
+ * process.exit() drops output still queued for a pipe (binary bodies, -w).
+ * The callback of an empty write runs after every earlier write is done.
+ * @param {number} code - Exit code
+ */
+function exitWhenFlushed(code) {
+    process.exitCode = code;
+    process.stdout.write('', () => process.exit(code));
+}
+
 /**
  * Main function
  */
@@ -398,45 +735,78 @@ async function main() {
         process.exit(EXIT_CODES.VALIDATION_ERROR);
     }
 
-    // Parse URL to extract host, path, port, and protocol
-    const urlInfo = parseUrl(params.host);
+    // One pool for the whole run: URLs on the same host share connections
+    const pool = new ConnectionPool();
+    if (!params.silent) {
+        pool.on('reuse', ({ host, port }) => logger.info(`Reusing connection to ${formatHost(host)}:${port}`));
+    }
 
     try {
-        let exitCode;
+        let exitCode = EXIT_CODES.SUCCESS;
+        const writeOut = params.writeOut ? loadWriteOut(params.writeOut) : '';
 
-        // Detect WebSocket mode
-        if (urlInfo.isWebSocket || isWebSocketUrl(params.host)) {
-            exitCode = await handleWebSocket(params, urlInfo);
-        } else {
-            exitCode = await handleHttp(params, urlInfo);
+        // Load body data once, for every URL (files given to --data-binary are streamed when sending)
+        params.data = loadRequestData(params.data, {
+            chunked: params.chunkedUpload || hasChunkedHeader(params.header),
+        });
+        if (params.json) {
+            params.json = loadJsonData(params.json);
         }
+        if (params.rawRequest) {
+            params.rawRequest = loadRawRequest(params.rawRequest);
+        }
+
+        for (const url of params.host) {
+            // Parse URL to extract host, path, port, and protocol
+            const urlInfo = parseUrl(url);
 
-        process.exit(exitCode);
+            // Detect WebSocket mode
+            const urlExitCode = urlInfo.isWebSocket || isWebSocketUrl(url)
+                ? await handleWebSocket(params, urlInfo)
+                : await handleHttp(params, urlInfo, pool, writeOut);
+
+            // Exit code of the last failing URL
+            if (urlExitCode !== EXIT_CODES.SUCCESS) {
+                exitCode = urlExitCode;
+            }
+        }
+
+        pool.destroy();
+        exitWhenFlushed(exitCode);
 
     } catch (err) {
         if (err instanceof ValidationError) {
             logger.error(`Validation: ${err.message}`);
-            process.exit(EXIT_CODES.VALIDATION_ERROR);
+            return exitWhenFlushed(EXIT_CODES.VALIDATION_ERROR);
+        }
+
+        if (err instanceof PinnedKeyError) {
+            // The connection was closed before its TLS details could be shown
+            if (params.tlsInfo && err.tlsInfo) {
+                printTlsInfo(err.tlsInfo, err.host);
+            }
+            logger.error(`TLS: ${err.message}`);
+            return exitWhenFlushed(EXIT_CODES.PINNED_KEY_ERROR);
         }
         
         if (err instanceof ConnectionError) {
             logger.error(`Connection: ${err.message}`);
-            process.exit(EXIT_CODES.CONNECTION_ERROR);
+            return exitWhenFlushed(EXIT_CODES.CONNECTION_ERROR);
         }
         
         if (err instanceof TimeoutError) {
             logger.error(`Timeout: ${err.message}`);
-            process.exit(EXIT_CODES.TIMEOUT_ERROR);
+            return exitWhenFlushed(EXIT_CODES.TIMEOUT_ERROR);
         }
         
         if (err instanceof HttpError) {
             logger.error(`HTTP: ${err.message}`);
-            process.exit(EXIT_CODES.HTTP_ERROR);
+            return exitWhenFlushed(EXIT_CODES.HTTP_ERROR);
         }
 
         if (err instanceof WebSocketError) {
             logger.error(`WebSocket: ${err.message}`);
-            process.exit(EXIT_CODES.WEBSOCKET_ERROR);
+            return exitWhenFlushed(EXIT_CODES.WEBSOCKET_ERROR);
         }
 
         // Unknown error
@@ -444,7 +814,7 @@ async function main() {
         if (params.verbose) {
             console.error(err.stack);
         }
-        process.exit(EXIT_CODES.UNKNOWN_ERROR);
+        exitWhenFlushed(EXIT_CODES.UNKNOWN_ERROR);
     }
 }
 
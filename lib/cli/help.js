@@ -21,9 +21,11 @@ export function generateHelp() {
     const categories = {
         request: { title: 'Request', items: [] },
         headers: { title: 'Headers', items: [] },
+        auth: { title: 'Authentication', items: [] },
         cookies: { title: 'Cookies', items: [] },
         proxy: { title: 'Proxy', items: [] },
         connection: { title: 'Connection', items: [] },
+        tls: { title: 'TLS', items: [] },
         websocket: { title: 'WebSocket', items: [] },
         output: { title: 'Output', items: [] },
         info: { title: 'Info', items: [] },
@@ -87,7 +89,23 @@ ${c.yellow}EXAMPLES:${c.reset}
   jsurl -u example.com/login -X POST -d "user=admin&pass=123"
 
   ${c.gray}# POST with JSON${c.reset}
-  jsurl -u example.com/api -X POST -d '{"key":"value"}' -H "Content-Type: application/json"
+  jsurl -u example.com/api -X POST --json '{"key":"value"}'
+
+  ${c.gray}# Follow redirects (login flow)${c.reset}
+  jsurl -u example.com/login -X POST -d "user=admin&pass=123" -L -c cookies.txt
+
+  ${c.gray}# Digest authentication${c.reset}
+  jsurl -u http://192.168.1.1/cgi-bin/status --user admin:admin --digest
+
+  ${c.gray}# Body from a file (byte for byte) or stdin${c.reset}
+  jsurl -u example.com/api -X POST --data-binary @payload.bin
+  cat body.txt | jsurl -u example.com/api -X POST -d @-
+
+  ${c.gray}# Stream stdin of unknown length (chunked upload)${c.reset}
+  tar c logs/ | jsurl -u example.com/upload -X PUT --chunked-upload --data-binary @-
+
+  ${c.gray}# Remove or empty default headers, send duplicates${c.reset}
+  jsurl -u example.com/api -H "Connection:" -H "Host;" -H "X-A: 1" -H "X-A: 2"
 
   ${c.gray}# File upload${c.reset}
   jsurl -u example.com/upload -X POST -F "file=@/path/to/file.txt"
@@ -95,17 +113,56 @@ ${c.yellow}EXAMPLES:${c.reset}
   ${c.gray}# File upload with path traversal${c.reset}
   jsurl -u example.com/upload -X POST -F "file=@local.txt;filename=../../etc/passwd"
 
+  ${c.gray}# HTTPS (skip certificate verification)${c.reset}
+  jsurl -u https://self-signed.example.com/api -k
+
+  ${c.gray}# Mutual TLS with a client certificate${c.reset}
+  jsurl -u https://mtls.example.com/api --cert client.pem --key client.key
+
+  ${c.gray}# Inspect the TLS session and certificate chain${c.reset}
+  jsurl -u https://example.com/ --tls-info --tls-min 1.2
+
+  ${c.gray}# Detect certificate rotation or interception (exit code 6)${c.reset}
+  jsurl -u https://api.example.com/health --pinnedpubkey "sha256//<base64>"
+
+  ${c.gray}# Staging backend behind the production hostname${c.reset}
+  jsurl -u https://example.com/api --resolve example.com:443:10.0.0.5
+
+  ${c.gray}# Leave through a specific NIC (multi-homed hosts)${c.reset}
+  jsurl -u https://example.com/api --interface eth1 --local-port 40000-40010
+
+  ${c.gray}# Docker API over a Unix socket${c.reset}
+  jsurl -u http://localhost/v1.43/containers/json --unix-socket /var/run/docker.sock
+
+  ${c.gray}# Several URLs, one connection${c.reset}
+  jsurl -u example.com/api/users -u example.com/api/roles
+
   ${c.gray}# Via proxy (Burp Suite)${c.reset}
   jsurl -u example.com/api -x 127.0.0.1:8080
 
+  ${c.gray}# Replay a request saved from Burp, fixing Host and Content-Length${c.reset}
+  jsurl -u https://target.com -R login.req --fix-host --fix-content-length
+
+  ${c.gray}# Via SOCKS5 proxy (remote DNS)${c.reset}
+  jsurl -u example.com/api -x socks5h://127.0.0.1:1080
+
+  ${c.gray}# Proxy chain: egress proxy, then Burp${c.reset}
+  jsurl -u https://example.com/api -x user:pass@egress.corp:3128 -x 127.0.0.1:8080 -k
+
   ${c.gray}# Verbose mode${c.reset}
   jsurl -u example.com/api -v
 
+  ${c.gray}# Status and timings for scripts${c.reset}
+  jsurl -u https://example.com/api -s -o /dev/null -w "%{http_code} %{time_starttransfer} %{time_total}\\n"
+
   ${c.cyan}# WebSocket${c.reset}
   ${c.gray}# Connect and send message${c.reset}
   jsurl -u ws://example.com/ws -m "hello"
   ${c.dim}→ {"response": "world"}${c.reset}
 
+  ${c.gray}# WebSocket over TLS${c.reset}
+  jsurl -u wss://example.com/ws -m "hello"
+
   ${c.gray}# Send multiple messages${c.reset}
   jsurl -u ws://example.com/ws -m "msg1" -m "msg2" -m "msg3"
 
@@ -129,6 +186,7 @@ ${c.yellow}EXIT CODES:${c.reset}
   3  HTTP error (4xx/5xx)
   4  Timeout
   5  WebSocket error
+  6  Server public key does not match --pinnedpubkey
 `;
 
     return help;
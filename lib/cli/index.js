@@ -7,3 +7,4 @@
 export * from './options.js';
 export * from './parser.js';
 export * from './help.js';
+export * from './writeout.js';
@@ -53,6 +53,9 @@ export function parseArgs(argv) {
                         } else {
                             result[key] = num;
                         }
+                    } else if (def.type === 'array' && def.collect) {
+                        // Options sharing one list keep their command line order
+                        result[def.collect].push({ option: key, value });
                     } else if (def.type === 'array') {
                         result[key].push(value);
                     } else if (def.multiple) {
@@ -94,6 +97,8 @@ export function parseArgs(argv) {
                     if (!isNaN(num)) {
                         result[key] = num;
                     }
+                } else if (def.type === 'array') {
+                    result[key].push(val);
                 } else {
                     result[key] = val;
                 }
@@ -103,7 +108,8 @@ export function parseArgs(argv) {
     
     // Check required fields
     for (const [key, def] of Object.entries(options)) {
-        if (def.required && !result[key]) {
+        const missing = Array.isArray(result[key]) ? result[key].length === 0 : !result[key];
+        if (def.required && missing) {
             errors.push(`Required parameter: ${def.flags[0]} (${def.description})`);
         }
     }
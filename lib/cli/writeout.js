@@ -0,0 +1,217 @@
+/**
+ * Write-out (-w/--write-out)
+ *
+ * curl-style output template, printed after the transfer:
+ *   %{variable}     - Value of a variable (see WRITE_OUT_VARIABLES)
+ *   %{header.name}  - Response header (repeated headers joined with ", ")
+ *   %{json}         - All variables as a JSON object
+ *   %%              - Literal %
+ *   \n \r \t \\     - Newline, carriage return, tab, backslash
+ *
+ * Times are in seconds since the start of the request, like curl's.
+ */
+
+import fs from 'fs';
+import { ValidationError } from '../utils/errors.js';
+import { getTimingPhases } from '../utils/timing.js';
+import { formatUrl, resolveLocation } from '../http/redirect.js';
+
+/**
+ * Variables and how to get them from the write-out context
+ * Each getter receives { requestObj, parsedResponse, chain, timings, redirectTime }.
+ */
+const WRITE_OUT_VARIABLES = {
+    http_code: ({ parsedResponse }) => parsedResponse.valid ? parsedResponse.statusCode : 0,
+    response_code: ({ parsedResponse }) => parsedResponse.valid ? parsedResponse.statusCode : 0,
+    http_version: ({ parsedResponse }) => {
+        const match = parsedResponse.valid ? parsedResponse.head.match(/^HTTP\/([\d.]+)/) : null;
+        return match ? match[1] : '';
+    },
+    method: ({ requestObj }) => requestObj.method,
+    scheme: ({ requestObj }) => requestObj.protocol || 'http',
+    url: ({ chain }) => formatUrl(chain[0].requestObj),
+    url_effective: ({ requestObj }) => formatUrl(requestObj),
+    redirect_url: ({ requestObj, parsedResponse }) => getRedirectUrl(requestObj, parsedResponse),
+    num_redirects: ({ chain }) => chain.length - 1,
+    num_headers: ({ parsedResponse }) => parsedResponse.valid ? parsedResponse.head.split('\r\n').length - 1 : 0,
+    content_type: ({ parsedResponse }) => parsedResponse.valid ? [].concat(parsedResponse.headers['content-type'] || '')[0] : '',
+    size_header: ({ parsedResponse }) => parsedResponse.valid ? Buffer.byteLength(parsedResponse.head) + 4 : 0,
+    size_download: ({ parsedResponse }) => parsedResponse.valid ? parsedResponse.encodedSize : 0,
+    speed_download: (context) => {
+        const total = getTime(context, 'end');
+        const size = context.parsedResponse.valid ? context.parsedResponse.encodedSize : 0;
+        return total > 0 ? Math.round(size / total) : 0;
+    },
+    remote_ip: ({ timings }) => timings ? timings.remoteAddress : '',
+    remote_port: ({ timings }) => timings ? timings.remotePort : 0,
+    local_ip: ({ timings }) => timings ? timings.localAddress : '',
+    local_port: ({ timings }) => timings ? timings.localPort : 0,
+    time_namelookup: (context) => getTime(context, 'dnsLookup'),
+    time_connect: (context) => getTime(context, 'tcpConnect'),
+    time_appconnect: (context) => getTime(context, 'tlsHandshake', true),
+    time_pretransfer: (context) => getTime(context, 'tlsHandshake'),
+    time_starttransfer: (context) => getTime(context, 'firstByte'),
+    time_total: (context) => getTime(context, 'end'),
+    time_redirect: ({ redirectTime }) => redirectTime,
+};
+
+/**
+ * Format a variable for the template
+ * Times get microsecond precision and status codes three digits (000 without a response), like curl.
+ * @param {string} name - Variable name
+ * @param {*} value - Variable value
+ * @returns {string}
+ */
+function formatValue(name, value) {
+    if (name.startsWith('time_')) {
+        return value.toFixed(6);
+    }
+    if (name === 'http_code' || name === 'response_code') {
+        return String(value).padStart(3, '0');
+    }
+    return String(value);
+}
+
+/**
+ * Convert ms to seconds, rounded to microseconds
+ * @param {number} ms - Time in ms
+ * @returns {number}
+ */
+function toSeconds(ms) {
+    return Math.round(ms * 1000) / 1e6;
+}
+
+/**
+ * Get time of a phase in seconds, including the time spent on redirects
+ * @param {object} context - Write-out context
+ * @param {string} phase - Timing phase (see TIMING_PHASES)
+ * @param {boolean} onlyIfReached - 0 if the phase did not happen (time_appconnect without TLS)
+ * @returns {number}
+ */
+function getTime(context, phase, onlyIfReached = false) {
+    const { timings, redirectTime } = context;
+    if (!timings || (onlyIfReached && timings[phase] === null)) {
+        return 0;
+    }
+    return toSeconds(redirectTime * 1000 + getTimingPhases(timings)[phase]);
+}
+
+/**
+ * Get absolute Location of a redirect that was not followed
+ * @param {object} requestObj - Request object of the response
+ * @param {object} parsedResponse - Parsed response
+ * @returns {string} - URL, or empty string if there is none
+ */
+function getRedirectUrl(requestObj, parsedResponse) {
+    const location = parsedResponse.valid && parsedResponse.isRedirect()
+        ? [].concat(parsedResponse.headers.location || '')[0]
+        : '';
+    if (!location) {
+        return '';
+    }
+    try {
+        return formatUrl(resolveLocation(location, requestObj));
+    } catch (err) {
+        // Not an http(s) URL: give it as received
+        return location;
+    }
+}
+
+/**
+ * Get a response header for %{header.name}
+ * @param {object} parsedResponse - Parsed response
+ * @param {string} name - Header name (any case)
+ * @returns {string}
+ */
+function getHeader(parsedResponse, name) {
+    if (!parsedResponse.valid) {
+        return '';
+    }
+    return [].concat(parsedResponse.headers[name.toLowerCase()] || []).join(', ');
+}
+
+/**
+ * Load write-out template
+ * "@file" reads the template from a file, "@-" from stdin.
+ * @param {string} value - Template or @file
+ * @returns {string}
+ * @throws {ValidationError} If the file cannot be read or a variable is unknown
+ */
+export function loadWriteOut(value) {
+    let template = value;
+    if (value.startsWith('@')) {
+        const file = value.slice(1);
+        try {
+            template = fs.readFileSync(file === '-' ? 0 : file, 'utf-8');
+        } catch (err) {
+            throw new ValidationError(`Error reading write-out template: ${file} - ${err.message}`, 'writeOut');
+        }
+    }
+
+    for (const [, name] of template.matchAll(/%\{([^}]*)\}/g)) {
+        if (name !== 'json' && !name.startsWith('header.') && !WRITE_OUT_VARIABLES[name]) {
+            throw new ValidationError(`Unknown write-out variable: %{${name}}`, 'writeOut');
+        }
+    }
+
+    return template;
+}
+
+/**
+ * Get all write-out variables
+ * @param {object} result - Transfer result
+ * @param {object} result.requestObj - Final request object
+ * @param {object} result.parsedResponse - Final parsed response (with timings)
+ * @param {object[]} result.chain - Every hop ({ requestObj, parsedResponse }), as from followRedirects
+ * @returns {object} - Variable name to value (times in seconds)
+ */
+export function getWriteOutVariables(result) {
+    const { requestObj, parsedResponse } = result;
+    const chain = result.chain && result.chain.length > 0 ? result.chain : [{ requestObj, parsedResponse }];
+
+    // Hops before the final one count as redirect time
+    const redirectTime = chain.slice(0, -1).reduce((sum, hop) => {
+        const timings = hop.parsedResponse.timings;
+        return sum + (timings ? getTimingPhases(timings).end : 0);
+    }, 0);
+
+    const context = {
+        requestObj,
+        parsedResponse,
+        chain,
+        timings: parsedResponse.timings || null,
+        redirectTime: toSeconds(redirectTime),
+    };
+    const variables = {};
+    for (const [name, getter] of Object.entries(WRITE_OUT_VARIABLES)) {
+        variables[name] = getter(context);
+    }
+    return variables;
+}
+
+/**
+ * Render write-out template
+ * @param {string} template - Template (from loadWriteOut)
+ * @param {object} result - Transfer result (see getWriteOutVariables)
+ * @returns {string}
+ */
+export function formatWriteOut(template, result) {
+    const variables = getWriteOutVariables(result);
+    const escapes = { n: '\n', r: '\r', t: '\t', '\\': '\\' };
+
+    return template.replace(/%%|%\{([^}]*)\}|\\([nrt\\])/g, (match, name, escape) => {
+        if (match === '%%') {
+            return '%';
+        }
+        if (escape) {
+            return escapes[escape];
+        }
+        if (name === 'json') {
+            return JSON.stringify(variables);
+        }
+        if (name.startsWith('header.')) {
+            return getHeader(result.parsedResponse, name.slice('header.'.length));
+        }
+        return formatValue(name, variables[name]);
+    });
+}
@@ -74,7 +74,7 @@ export function loadCookies(filePath) {
 
 /**
  * Process response cookies and save if needed
- * @param {string} response - Raw HTTP response
+ * @param {Buffer|string} response - Raw HTTP response
  * @param {string} cookieJar - Cookie jar file path (optional)
  * @param {string} host - Default domain
  * @returns {{ cookies: string[], saved: number }}
@@ -0,0 +1,226 @@
+/**
+ * Request Bodies
+ *
+ * A body is a list of parts, sent one after the other:
+ *   Buffer            - Bytes in memory
+ *   { file, size }    - Regular file, read from disk while the request is sent
+ *   { stream, name }  - Readable of unknown length (stdin), can only be sent once
+ * Files are never loaded whole, so uploads of any size go straight from
+ * disk to the socket. A body with a stream has no known length and needs
+ * chunked transfer coding (RFC 9112, section 7.1).
+ */
+
+import fs from 'fs';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Chunk that ends a chunked body (no trailers)
+ */
+const LAST_CHUNK = Buffer.from('0\r\n\r\n');
+
+/**
+ * Create a body part for a file
+ * Regular files are streamed with the size they have now; anything else
+ * (a pipe, a device) is read here, as its size is not known in advance.
+ * @param {string} file - File path
+ * @param {string} option - Option the file was given to (for the error)
+ * @returns {Buffer|{ file: string, size: number }}
+ * @throws {ValidationError} If the file cannot be read
+ */
+export function createFilePart(file, option) {
+    try {
+        const stat = fs.statSync(file);
+        return stat.isFile() ? { file, size: stat.size } : fs.readFileSync(file);
+    } catch (err) {
+        throw new ValidationError(`Error reading file: ${file} - ${err.message}`, option);
+    }
+}
+
+/**
+ * Create a body part for a stream of unknown length
+ * @param {stream.Readable} stream - Data to send (e.g. process.stdin)
+ * @param {string} name - Name for messages
+ * @returns {{ stream: stream.Readable, name: string, used: boolean }}
+ */
+export function createStreamPart(stream, name = 'stdin') {
+    return { stream, name, used: false };
+}
+
+/**
+ * Get the parts of a body
+ * @param {Buffer|string|Array} body - Body, or its parts
+ * @returns {Array} - Parts (empty parts left out)
+ */
+export function toBodyParts(body) {
+    const parts = Array.isArray(body) ? body : [body || ''];
+    return parts
+        .map(part => typeof part === 'string' ? Buffer.from(part) : part)
+        .filter(part => !Buffer.isBuffer(part) || part.length > 0);
+}
+
+/**
+ * Get body length for Content-Length
+ * @param {Array} parts - Body parts
+ * @returns {number|null} - Length in bytes, or null if a part is a stream
+ */
+export function getBodyLength(parts) {
+    let length = 0;
+    for (const part of parts) {
+        if (part.stream) {
+            return null;
+        }
+        length += Buffer.isBuffer(part) ? part.length : part.size;
+    }
+    return length;
+}
+
+/**
+ * Describe a file or stream part
+ * @param {object} part - Body part
+ * @returns {string}
+ */
+function describePart(part) {
+    return part.stream ? `${part.name} (streamed)` : `${part.file} (${part.size} bytes)`;
+}
+
+/**
+ * Describe a body (for verbose output)
+ * Bytes in memory between files and streams are counted together.
+ * @param {Array} parts - Body parts
+ * @returns {string} - e.g. "4 bytes + upload.bin (1048576 bytes)"
+ */
+export function describeBody(parts) {
+    const pieces = [];
+    let bytes = 0;
+    for (const part of parts) {
+        if (Buffer.isBuffer(part)) {
+            bytes += part.length;
+            continue;
+        }
+        if (bytes > 0) {
+            pieces.push(`${bytes} bytes`);
+            bytes = 0;
+        }
+        pieces.push(describePart(part));
+    }
+    if (bytes > 0) {
+        pieces.push(`${bytes} bytes`);
+    }
+    return pieces.join(' + ');
+}
+
+/**
+ * Read a body part, one piece at a time
+ * A file must still have the size it was counted with, or Content-Length
+ * would be wrong.
+ * @param {Buffer|object} part - Body part
+ * @returns {AsyncGenerator<Buffer>}
+ * @throws {ValidationError} If the file cannot be read or changed size, or the stream was already sent
+ */
+async function* readPart(part) {
+    if (Buffer.isBuffer(part)) {
+        yield part;
+        return;
+    }
+
+    if (part.stream) {
+        if (part.used) {
+            throw new ValidationError(`Request body from ${part.name} can only be sent once (a redirect or auth challenge asked for it again)`, 'data');
+        }
+        part.used = true;
+        yield* part.stream;
+        return;
+    }
+
+    if (part.size === 0) {
+        return;
+    }
+    let sent = 0;
+    const stream = fs.createReadStream(part.file, { start: 0, end: part.size - 1 });
+    try {
+        for await (const chunk of stream) {
+            sent += chunk.length;
+            yield chunk;
+        }
+    } catch (err) {
+        throw new ValidationError(`Error reading file: ${part.file} - ${err.message}`, 'data');
+    } finally {
+        stream.destroy();
+    }
+    if (sent !== part.size) {
+        throw new ValidationError(`File changed while uploading: ${part.file} (${sent} of ${part.size} bytes)`, 'data');
+    }
+}
+
+/**
+ * Wait until the socket can take more data
+ * @param {net.Socket|tls.TLSSocket} socket - Socket being written to
+ * @returns {Promise<void>} - Rejects if the socket closes first
+ */
+function waitForDrain(socket) {
+    return new Promise((resolve, reject) => {
+        const done = (err) => {
+            socket.removeListener('drain', done);
+            socket.removeListener('close', onClose);
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        };
+        const onClose = () => done(new Error('Connection closed while sending the request body'));
+        socket.once('drain', done);
+        socket.once('close', onClose);
+    });
+}
+
+/**
+ * Write a request: head, then the body parts
+ * Honours backpressure, so a file is never read faster than the socket sends it.
+ * Stops quietly once the socket is no longer writable (e.g. the server
+ * answered before the upload finished and the connection was closed).
+ * @param {net.Socket|tls.TLSSocket} socket - Connected socket
+ * @param {object} message - Request (from buildRequestMessage)
+ * @param {Buffer} message.head - Request line and headers, blank line included
+ * @param {Array} message.body - Body parts
+ * @param {boolean} message.chunked - Send the body with chunked transfer coding
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If a body part cannot be read
+ */
+export async function writeRequest(socket, message) {
+    const { head, body = [], chunked = false } = message;
+    const write = async (data) => {
+        if (socket.writable && !socket.write(data)) {
+            await waitForDrain(socket);
+        }
+    };
+
+    await write(head);
+    for (const part of body) {
+        for await (const chunk of readPart(part)) {
+            if (!socket.writable) {
+                return;
+            }
+            if (chunk.length === 0) {
+                continue;
+            }
+            await write(chunked
+                ? Buffer.concat([Buffer.from(`${chunk.length.toString(16)}\r\n`), chunk, Buffer.from('\r\n')])
+                : chunk);
+        }
+    }
+    if (chunked) {
+        await write(LAST_CHUNK);
+    }
+}
+
+/**
+ * Format a body for display, without reading files or streams
+ * @param {Array} parts - Body parts
+ * @returns {string}
+ */
+export function formatBody(parts) {
+    return parts
+        .map(part => Buffer.isBuffer(part) ? part.toString() : `[${describePart(part)}]`)
+        .join('');
+}
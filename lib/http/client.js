@@ -5,24 +5,64 @@
  * using the transport layer for TCP connections.
  */
 
-import { createConnection, sendAndReceive } from '../transport/tcp.js';
-import { buildRequest } from './request.js';
-import { ConnectionError, TimeoutError } from '../utils/errors.js';
+import { sendAndReceive } from '../transport/tcp.js';
+import { openConnection, isForwardProxy, getProxyHops } from '../transport/connection.js';
+import { resolveTarget } from '../transport/resolve.js';
+import { buildProxyAuthorization, createProxyAuthError } from '../transport/tunnel.js';
+import { buildRequestMessage, formatRequest, buildBasicAuthorization, buildDigestAuthorization, selectDigestChallenge } from './request.js';
+import { ResponseParser, parseAuthenticate } from './response.js';
+import { writeRequest } from './body.js';
+import { ConnectionError, TlsError, TimeoutError, ValidationError } from '../utils/errors.js';
+import { formatHost } from '../utils/validators.js';
+import { markTiming, recordConnection } from '../utils/timing.js';
+
+/**
+ * Tip shown for certificate verification failures
+ */
+const CERT_TIP = `   Tip: Use --cacert to trust a custom CA, or -k/--insecure to skip verification`;
+
+/**
+ * Tip shown when no TLS version is acceptable to both sides
+ */
+const TLS_VERSION_TIP = `   Tip: Adjust --tls-min/--tls-max (use --tls-info to see what is negotiated)`;
+
+/**
+ * Tip shown when the server rejects our client certificate (mutual TLS)
+ */
+const CLIENT_CERT_TIP = `   Tip: Check --cert/--key; the server must trust the issuer of the client certificate`;
+
+/**
+ * Format connection target for messages (Unix sockets have no port)
+ * @param {string} host - Host or socket path
+ * @param {number|null} port - Port
+ * @returns {string}
+ */
+function formatTarget(host, port) {
+    return port ? `${formatHost(host)}:${port}` : host;
+}
 
 /**
  * Socket error messages mapping
  */
 const SOCKET_ERRORS = {
     'ECONNREFUSED': (host, port) => 
-        `Connection refused at ${host}:${port}. Is the server running?\n` +
+        `Connection refused at ${formatTarget(host, port)}. Is the server running?\n` +
         `   Tip: Check if the host/port are correct`,
     
+    'ENOENT': (host) => 
+        `Socket not found: ${host}\n` +
+        `   Tip: Check the --unix-socket path`,
+    
+    'EACCES': (host) => 
+        `Permission denied: ${host}\n` +
+        `   Tip: The socket may require root or group membership (e.g. docker)`,
+    
     'ENOTFOUND': (host) => 
         `Hostname not found: ${host}\n` +
         `   Tip: Check if the hostname is correct`,
     
     'ETIMEDOUT': (host, port) => 
-        `Connection timeout at ${host}:${port}\n` +
+        `Connection timeout at ${formatTarget(host, port)}\n` +
         `   Tip: Check if there's a firewall blocking the connection`,
     
     'ECONNRESET': () => 
@@ -37,11 +77,91 @@ const SOCKET_ERRORS = {
         `Network unreachable\n` +
         `   Tip: Check your network connection`,
     
-    'EADDRINUSE': (host, port) => 
-        `Port ${port} already in use`,
+    'EADDRINUSE': () => 
+        `Local address or port already in use\n` +
+        `   Tip: Pick another --local-port, or a range (e.g. 4000-4010)`,
+    
+    'EADDRNOTAVAIL': () => 
+        `Local address not available\n` +
+        `   Tip: Check --interface (the address must belong to this host)`,
+    
+    'EINVAL': (host) => 
+        `Cannot connect to ${host} from the --interface address\n` +
+        `   Tip: The source address and the target must use the same IP version`,
     
     'EPIPE': () => 
         `Broken pipe - connection closed before sending all data`,
+    
+    // TLS certificate verification
+    'CERT_HAS_EXPIRED': (host) => 
+        `Certificate for ${host} has expired\n${CERT_TIP}`,
+    
+    'CERT_NOT_YET_VALID': (host) => 
+        `Certificate for ${host} is not yet valid\n${CERT_TIP}`,
+    
+    'DEPTH_ZERO_SELF_SIGNED_CERT': (host) => 
+        `Certificate for ${host} is self-signed\n${CERT_TIP}`,
+    
+    'SELF_SIGNED_CERT_IN_CHAIN': (host) => 
+        `Certificate chain for ${host} contains an untrusted self-signed certificate\n${CERT_TIP}`,
+    
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE': (host) => 
+        `Unable to verify the certificate for ${host} (incomplete chain or unknown issuer)\n${CERT_TIP}`,
+    
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY': (host) => 
+        `Certificate issuer for ${host} is not trusted\n${CERT_TIP}`,
+    
+    'ERR_TLS_CERT_ALTNAME_INVALID': (host) => 
+        `Certificate does not match hostname: ${host}\n${CERT_TIP}`,
+    
+    // TLS alerts from the server about our client certificate
+    'ERR_SSL_TLSV13_ALERT_CERTIFICATE_REQUIRED': (host) => 
+        `${host} requires a client certificate\n` +
+        `   Tip: Use --cert and --key (or --cert-type p12 with --pass)`,
+    
+    'ERR_SSL_SSLV3_ALERT_HANDSHAKE_FAILURE': (host) => 
+        `TLS handshake rejected by ${host}\n` +
+        `   Tip: The server may require a client certificate (--cert/--key), or share no cipher or curve (--ciphers/--curves)`,
+    
+    'ERR_SSL_TLSV1_ALERT_UNKNOWN_CA': (host) => 
+        `${host} does not trust the issuer of the client certificate\n${CLIENT_CERT_TIP}`,
+    
+    'ERR_SSL_SSLV3_ALERT_BAD_CERTIFICATE': (host) => 
+        `${host} rejected the client certificate\n${CLIENT_CERT_TIP}`,
+    
+    'ERR_SSL_SSLV3_ALERT_CERTIFICATE_UNKNOWN': (host) => 
+        `${host} rejected the client certificate\n${CLIENT_CERT_TIP}`,
+    
+    'ERR_SSL_SSLV3_ALERT_UNSUPPORTED_CERTIFICATE': (host) => 
+        `${host} does not support the client certificate type\n${CLIENT_CERT_TIP}`,
+    
+    'ERR_SSL_SSLV3_ALERT_CERTIFICATE_EXPIRED': (host) => 
+        `${host} rejected the client certificate: expired\n${CLIENT_CERT_TIP}`,
+    
+    'ERR_SSL_SSLV3_ALERT_CERTIFICATE_REVOKED': (host) => 
+        `${host} rejected the client certificate: revoked\n${CLIENT_CERT_TIP}`,
+    
+    'ERR_SSL_TLSV1_ALERT_ACCESS_DENIED': (host) => 
+        `${host} denied access for the client certificate\n${CLIENT_CERT_TIP}`,
+    
+    'CLIENT_CERT_REJECTED': (host) => 
+        `${host} closed the connection right after the TLS handshake without a response\n` +
+        `   Tip: The server may have rejected the client certificate; check --cert/--key`,
+    
+    // TLS versions from --tls-min/--tls-max
+    'ERR_SSL_TLSV1_ALERT_PROTOCOL_VERSION': (host) => 
+        `${host} does not support the allowed TLS versions\n${TLS_VERSION_TIP}`,
+    
+    'ERR_SSL_UNSUPPORTED_PROTOCOL': (host) => 
+        `${host} only offers a TLS version outside the allowed range\n${TLS_VERSION_TIP}`,
+    
+    'ERR_SSL_NO_PROTOCOLS_AVAILABLE': () => 
+        `No TLS version available for the handshake\n` +
+        `   Tip: TLS 1.0/1.1 are disabled by default in OpenSSL; add --ciphers "DEFAULT@SECLEVEL=0"`,
+    
+    'ERR_SSL_WRONG_VERSION_NUMBER': (host, port) => 
+        `TLS handshake failed at ${formatTarget(host, port)}\n` +
+        `   Tip: The server may not speak TLS on this port (try http://)`,
 };
 
 /**
@@ -59,12 +179,161 @@ export function translateSocketError(err, host, port) {
     return `Socket error: ${err.message} (code: ${err.code || 'unknown'})`;
 }
 
+/**
+ * Check if a socket error has a friendly message
+ * @param {Error} err - Socket error
+ * @returns {boolean}
+ */
+export function isKnownSocketError(err) {
+    return Boolean(err && SOCKET_ERRORS[err.code]);
+}
+
+/**
+ * Get Authorization value that can be sent without a challenge
+ * Basic is sent up front; Digest only once a challenge is known.
+ * @param {object} requestObj - Request object
+ * @returns {string}
+ */
+function getAuthorization(requestObj) {
+    const { auth, method, path } = requestObj;
+    if (!auth) {
+        return '';
+    }
+    if (auth.type === 'digest') {
+        return auth.challenge ? buildDigestAuthorization(auth, auth.challenge, method, path) : '';
+    }
+    return buildBasicAuthorization(auth);
+}
+
+/**
+ * Check if a connection can carry another request after this response
+ * @param {ResponseParser} parser - Parser that read the response
+ * @param {Buffer} responseBuffer - Everything received on the connection
+ * @returns {boolean}
+ */
+function canReuse(parser, responseBuffer) {
+    if (!parser.complete || parser.truncated || parser.framing === 'close' ||
+        parser.statusCode === 101 || parser.messageEnd !== responseBuffer.length) {
+        return false;
+    }
+    
+    // HTTP/1.1 is persistent unless closed; HTTP/1.0 only when asked for
+    const connection = [].concat(parser.headers.connection || []).join(',').toLowerCase();
+    return parser.httpVersion === '1.0'
+        ? connection.includes('keep-alive')
+        : !connection.includes('close');
+}
+
+/**
+ * Get a connection, from the pool when there is one
+ * @param {object} options - Connection options (see openConnection)
+ * @param {ConnectionPool} pool - Connection pool (optional)
+ * @param {boolean} reuse - Allow idle pooled sockets
+ * @returns {Promise<{ socket: net.Socket|tls.TLSSocket, reused: boolean }>}
+ */
+async function connect(options, pool, reuse = true) {
+    if (!pool) {
+        return { socket: await openConnection(options), reused: false };
+    }
+    return pool.acquire(options, { reuse });
+}
+
+/**
+ * Create the parser for one response
+ * @param {string} method - Request method (HEAD responses have no body)
+ * @param {function(object)} onResponse - Called once the headers arrive, with the body as a stream (optional)
+ * @returns {ResponseParser}
+ */
+function createParser(method, onResponse = null) {
+    const parser = new ResponseParser({ method, stream: Boolean(onResponse) });
+    if (onResponse) {
+        parser.once('headers', (head) => onResponse({ ...head, body: parser.body }));
+    }
+    return parser;
+}
+
+/**
+ * Check if a request sent on a reused connection may be sent again on a new one
+ * Only when the server had closed the idle connection: no byte of the response
+ * arrived, the failure comes from the connection (not e.g. from reading a body
+ * file), and the body can be read again (a stream from stdin cannot).
+ * @param {Error|null} err - Error of the attempt (null if it ended without one)
+ * @param {ResponseParser} parser - Parser of the attempt
+ * @param {Array} body - Body parts of the request (optional)
+ * @returns {boolean}
+ */
+function canRetry(err, parser, body = []) {
+    return (!err || err instanceof ConnectionError) &&
+        parser.offset + parser.buffer.length === 0 &&
+        !(body || []).some(part => part.stream && part.used);
+}
+
+/**
+ * Write request and read one response
+ * @param {net.Socket|tls.TLSSocket} socket - Connected socket
+ * @param {function(net.Socket|tls.TLSSocket): Promise} request - Writes the request (see writeRequest)
+ * @param {ResponseParser} parser - Parser for the response (see createParser)
+ * @param {number} timeout - Response timeout in ms
+ * @param {Timings} timings - Timings to mark request phases in (optional)
+ * @returns {Promise<{ responseBuffer: Buffer, parser: ResponseParser }>}
+ */
+async function roundTrip(socket, request, parser, timeout, timings = null) {
+    try {
+        const responseBuffer = await sendAndReceive(socket, request, timeout, (chunk) => parser.execute(chunk), timings);
+        parser.finish();
+        markTiming(timings, 'end');
+        return { responseBuffer, parser };
+    } catch (err) {
+        socket.destroy();
+        if (parser.body) {
+            parser.body.destroy();
+        }
+        throw err;
+    }
+}
+
 /**
  * Send HTTP request
+ * With Digest authentication, a 401 challenge is answered with a second request.
+ * @param {object} requestObj - Request object
+ * @param {object} options - Send options
+ * @param {ConnectionPool} options.pool - Reuse connections from this pool (keep-alive)
+ * @param {Timings} options.timings - Timings to record the request in (from createTimings, optional)
+ * @param {function(net.Socket|tls.TLSSocket, boolean)} options.onConnect - Called with each socket
+ *   a request is sent on (and whether it was reused), e.g. to inspect TLS (optional)
+ * @param {function(object)} options.onResponse - Called when the headers of a response arrive, with
+ *   { statusCode, statusText, httpVersion, headers, body }; body is a Readable that streams the
+ *   (dechunked) body as it is received. A Digest 401 challenge is reported too (optional)
+ * @returns {Promise<Buffer>} - Raw HTTP response
+ */
+export async function sendRequest(requestObj, options = {}) {
+    const { auth, method, path } = requestObj;
+    
+    const { response, parser } = await exchange(requestObj, getAuthorization(requestObj), options);
+    if (!auth || auth.type !== 'digest' || parser.statusCode !== 401) {
+        return response;
+    }
+    
+    // Answer the challenge (a known nonce may have gone stale)
+    const challenge = selectDigestChallenge(parseAuthenticate(parser.headers['www-authenticate']));
+    if (!challenge) {
+        return response;
+    }
+    auth.challenge = challenge;
+    
+    const authorization = buildDigestAuthorization(auth, challenge, method, path);
+    return (await exchange(requestObj, authorization, options)).response;
+}
+
+/**
+ * Send one HTTP request and read its response
  * @param {object} requestObj - Request object
- * @returns {Promise<string>} - Raw HTTP response
+ * @param {string} authorization - Authorization value
+ * @param {object} options - Send options (see sendRequest)
+ * @returns {Promise<{ response: Buffer, parser: ResponseParser }>}
  */
-export async function sendRequest(requestObj) {
+async function exchange(requestObj, authorization, options = {}) {
+    const { pool = null, timings = null, onConnect = null, onResponse = null } = options;
     const {
         method,
         host,
@@ -74,73 +343,184 @@ export async function sendRequest(requestObj) {
         form,
         headers,
         cookie,
-        proxy,
         timeout,
+        tls = {},
+        proxyTunnel = false,
+        compressed = false,
+        json = false,
+        chunked = false,
+        rawRequest = null,
+        unixSocket = '',
+        resolve = [],
+        connectTo = [],
+        family = 0,
+        localAddress = '',
+        localPort = null,
     } = requestObj;
 
-    // Determine if using proxy or direct connection
-    const useProxy = proxy && proxy.host && proxy.port;
+    // Determine if using proxy or direct connection (never for Unix sockets)
+    const proxy = unixSocket ? null : requestObj.proxy;
+    const firstProxy = getProxyHops(proxy)[0];
+    const secure = requestObj.protocol === 'https';
+    
+    // HTTP forward proxies get absolute-form requests; everything else is tunnelled
+    const useForwardProxy = isForwardProxy(proxy, { secure, tunnel: proxyTunnel });
     
-    // Connection target (proxy or direct)
-    const connectHost = useProxy ? proxy.host : host;
-    const connectPort = useProxy ? proxy.port : port;
+    // Connection target (socket path, first proxy, or the target after --connect-to/--resolve)
+    const target = resolveTarget(host, port, { resolve, connectTo });
+    const connectHost = unixSocket || (firstProxy ? firstProxy.host : target.hosts[0]);
+    const connectPort = unixSocket ? null : (firstProxy ? firstProxy.port : target.port);
 
     try {
-        // Build the request (returns Buffer)
-        const request = buildRequest({
+        // Build the request (body files and streams are read while sending); -R is sent as is
+        const message = rawRequest ? { head: rawRequest } : buildRequestMessage({
             method,
             host,
             port,
+            protocol: requestObj.protocol,
             path,
             data,
             form,
             headers,
             cookie,
-            useProxy,
+            compressed,
+            json,
+            chunked,
+            authorization,
+            keepAlive: Boolean(pool),
+            useProxy: useForwardProxy,
+            proxyAuthorization: useForwardProxy ? buildProxyAuthorization(proxy) : '',
         });
+        const request = (socket) => writeRequest(socket, message);
 
-        // Create connection
-        const socket = await createConnection({
-            host: connectHost,
-            port: connectPort,
+        // Get connection (through proxy and TLS as needed)
+        const connectionOptions = {
+            host,
+            port,
+            socketPath: unixSocket,
+            resolve,
+            connectTo,
+            family,
+            localAddress,
+            localPort,
+            proxy,
+            tunnel: proxyTunnel,
+            secure,
+            tls,
             timeout,
-        });
+            timings,
+        };
+        let { socket, reused } = await connect(connectionOptions, pool);
+        recordConnection(timings, socket, reused);
+        if (onConnect) {
+            onConnect(socket, reused);
+        }
 
-        // Send request and receive response
-        const responseBuffer = await sendAndReceive(socket, request, timeout);
+        // Send request and receive response (until the message is complete)
+        let parser = createParser(method, onResponse);
+        let result = await roundTrip(socket, request, parser, timeout, timings).catch((err) => {
+            if (reused && canRetry(err, parser, message.body)) {
+                return null;
+            }
+            throw err;
+        });
+        
+        // A reused connection may have been closed by the server meanwhile: retry on a new one
+        if (reused && (!result || canRetry(null, parser, message.body))) {
+            socket.destroy();
+            ({ socket } = await connect(connectionOptions, pool, false));
+            recordConnection(timings, socket, false);
+            if (onConnect) {
+                onConnect(socket, false);
+            }
+            parser = createParser(method, onResponse);
+            result = await roundTrip(socket, request, parser, timeout, timings);
+        }
         
-        return responseBuffer.toString();
+        const { responseBuffer } = result;
+        
+        // Servers that refuse a client certificate after a TLS 1.3 handshake may just close
+        if (secure && tls.cert && responseBuffer.length === 0) {
+            socket.destroy();
+            throw new TlsError(`Connection closed after the TLS handshake with ${host}`, 'CLIENT_CERT_REJECTED');
+        }
+        
+        if (pool) {
+            pool.release(socket, canReuse(parser, responseBuffer));
+        } else {
+            socket.destroy();
+        }
+        
+        // The connection closed before the framing said the message was complete
+        if (parser.truncated) {
+            const code = parser.offset === parser.messageStart ? 'EMPTY_RESPONSE' : 'INCOMPLETE_RESPONSE';
+            throw new ConnectionError(`${parser.error} (${formatTarget(host, port)})`, code);
+        }
+        
+        // Only the final response (no interim 1xx, nothing after the message)
+        const response = responseBuffer.subarray(parser.messageStart, parser.messageEnd);
+        
+        // Forward proxies answer 407 in place of the target
+        if (useForwardProxy && parser.statusCode === 407) {
+            const head = response.subarray(0, response.indexOf('\r\n\r\n')).toString();
+            throw createProxyAuthError(proxy, head);
+        }
+        
+        return { response, parser };
         
     } catch (err) {
-        if (err instanceof ConnectionError || err instanceof TimeoutError) {
+        if (err instanceof TimeoutError || err instanceof ValidationError) {
             throw err;
         }
         
-        // Translate socket error
-        const message = translateSocketError(err, connectHost, connectPort);
-        throw new ConnectionError(message, err.code, err);
+        // Transport errors are already wrapped; only translate the known ones
+        if (err instanceof ConnectionError && !isKnownSocketError(err)) {
+            throw err;
+        }
+        
+        // Translate socket error (TLS errors concern the target, even through a proxy)
+        const isTlsError = err instanceof TlsError || String(err.code).startsWith('ERR_SSL_');
+        const message = isTlsError
+            ? translateSocketError(err, host, port)
+            : translateSocketError(err, connectHost, connectPort);
+        throw new ConnectionError(message, err.code, err.cause || err);
     }
 }
 
 /**
  * Get formatted request string (for debug/verbose mode)
  * @param {object} requestObj - Request object
+ * @param {object} options - Send options (see sendRequest)
  * @returns {string}
  */
-export function getRequestString(requestObj) {
-    const useProxy = requestObj.proxy && requestObj.proxy.host && requestObj.proxy.port;
+export function getRequestString(requestObj, options = {}) {
+    if (requestObj.rawRequest) {
+        return requestObj.rawRequest.toString();
+    }
     
-    const requestBuffer = buildRequest({
+    const useProxy = isForwardProxy(requestObj.unixSocket ? null : requestObj.proxy, {
+        secure: requestObj.protocol === 'https',
+        tunnel: requestObj.proxyTunnel,
+    });
+    
+    return formatRequest({
         method: requestObj.method,
         host: requestObj.host,
         port: requestObj.port,
+        protocol: requestObj.protocol,
         path: requestObj.path,
         data: requestObj.data,
         form: requestObj.form,
         headers: requestObj.headers,
         cookie: requestObj.cookie,
+        compressed: requestObj.compressed,
+        json: requestObj.json,
+        chunked: requestObj.chunked,
+        authorization: requestObj.auth && requestObj.auth.type === 'basic'
+            ? buildBasicAuthorization(requestObj.auth)
+            : '',
+        keepAlive: Boolean(options.pool),
         useProxy,
+        proxyAuthorization: useProxy ? buildProxyAuthorization(requestObj.proxy) : '',
     });
-    
-    return requestBuffer.toString();
 }
@@ -5,5 +5,7 @@
  */
 
 export * from './request.js';
+export * from './body.js';
 export * from './response.js';
 export * from './client.js';
+export * from './redirect.js';
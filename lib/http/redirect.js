@@ -0,0 +1,247 @@
+/**
+ * HTTP Redirects
+ *
+ * Follows 3xx responses (-L/--location): resolves the Location header
+ * against the current URL, rewrites the method as RFC 9110 section 15.4
+ * describes, carries cookies set along the way and drops credentials on
+ * cross-origin hops.
+ */
+
+import { sendRequest } from './client.js';
+import { parseResponse, extractCookies, parseCookie } from './response.js';
+import { getDefaultPort, formatHost } from '../utils/validators.js';
+import { HttpError } from '../utils/errors.js';
+import { createTimings } from '../utils/timing.js';
+
+/**
+ * Status codes that are followed
+ */
+export const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * Headers only sent to the origin of the first request (unless trusted)
+ * Credentials from --user follow the same rule.
+ */
+const CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+
+/**
+ * Headers describing a body that is dropped when the method becomes GET
+ */
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding', 'transfer-encoding'];
+
+/**
+ * Format request object as URL
+ * @param {object} requestObj - Request object
+ * @returns {string}
+ */
+export function formatUrl(requestObj) {
+    const { protocol = 'http', host, port, path = '/' } = requestObj;
+    const portPart = port && port !== getDefaultPort(protocol) ? `:${port}` : '';
+    return `${protocol}://${formatHost(host)}${portPart}${path}`;
+}
+
+/**
+ * Check if two request objects have the same origin (scheme, host, port)
+ * @param {object} a - Request object
+ * @param {object} b - Request object
+ * @returns {boolean}
+ */
+export function isSameOrigin(a, b) {
+    return (a.protocol || 'http') === (b.protocol || 'http') &&
+        a.host.toLowerCase() === b.host.toLowerCase() &&
+        Number(a.port) === Number(b.port);
+}
+
+/**
+ * Get method for the next hop
+ *   303: GET (HEAD stays HEAD)
+ *   301/302: POST becomes GET (what browsers and curl do)
+ *   307/308: method and body are kept
+ * @param {number} statusCode - Redirect status code
+ * @param {string} method - Method of the current request
+ * @returns {{ method: string, keepBody: boolean }}
+ */
+export function getRedirectMethod(statusCode, method) {
+    if (statusCode === 303 && method !== 'HEAD') {
+        return { method: 'GET', keepBody: false };
+    }
+    if ((statusCode === 301 || statusCode === 302) && method === 'POST') {
+        return { method: 'GET', keepBody: false };
+    }
+    return { method, keepBody: true };
+}
+
+/**
+ * Resolve Location header against the current URL
+ * @param {string} location - Location header value (absolute or relative)
+ * @param {object} requestObj - Current request object
+ * @returns {{ protocol: string, host: string, port: number, path: string }}
+ * @throws {HttpError} If the location is not an http(s) URL
+ */
+export function resolveLocation(location, requestObj) {
+    let url;
+    try {
+        url = new URL(location, formatUrl(requestObj));
+    } catch (err) {
+        throw new HttpError(`Invalid redirect location: ${location}`);
+    }
+
+    const protocol = url.protocol.replace(/:$/, '');
+    if (protocol !== 'http' && protocol !== 'https') {
+        throw new HttpError(`Unsupported redirect location: ${location}`);
+    }
+
+    return {
+        protocol,
+        host: url.hostname.replace(/^\[(.*)\]$/, '$1'),
+        port: url.port ? parseInt(url.port) : getDefaultPort(protocol),
+        path: `${url.pathname}${url.search}`,
+    };
+}
+
+/**
+ * Store Set-Cookie values received on a hop
+ * Cookies without Domain are bound to the host that set them.
+ * @param {object[]} jar - Cookies received so far
+ * @param {string[]} setCookies - Set-Cookie values
+ * @param {string} host - Host that sent them
+ */
+function storeCookies(jar, setCookies, host) {
+    for (const setCookie of setCookies) {
+        const cookie = parseCookie(setCookie);
+        if (!cookie.name) {
+            continue;
+        }
+
+        const domain = (cookie.domain || host).replace(/^\./, '').toLowerCase();
+        const index = jar.findIndex(c => c.name === cookie.name && c.domain === domain && c.path === cookie.path);
+        if (index !== -1) {
+            jar.splice(index, 1);
+        }
+
+        // Max-Age=0 or a past Expires deletes the cookie
+        const expired = (cookie.maxAge !== null && cookie.maxAge <= 0) ||
+            (cookie.expires && cookie.expires.getTime() < Date.now());
+        if (expired) {
+            continue;
+        }
+
+        jar.push({
+            name: cookie.name,
+            pair: setCookie.split(';')[0].trim(),
+            domain,
+            hostOnly: !cookie.domain,
+            path: cookie.path,
+            secure: cookie.secure,
+            setCookie: cookie.domain ? setCookie : `${setCookie}; Domain=${host}`,
+        });
+    }
+}
+
+/**
+ * Build Cookie header value from received cookies matching a request
+ * @param {object[]} jar - Cookies received so far
+ * @param {object} requestObj - Request object
+ * @returns {string}
+ */
+function getJarCookies(jar, requestObj) {
+    const host = requestObj.host.toLowerCase();
+    const path = requestObj.path.split('?')[0];
+
+    return jar
+        .filter(c => c.hostOnly ? host === c.domain : host === c.domain || host.endsWith(`.${c.domain}`))
+        .filter(c => path === c.path || path.startsWith(c.path.endsWith('/') ? c.path : `${c.path}/`))
+        .filter(c => !c.secure || requestObj.protocol === 'https')
+        .map(c => c.pair)
+        .join('; ');
+}
+
+/**
+ * Build request object for the next hop
+ * @param {object} original - First request object (credentials belong to its origin)
+ * @param {object} current - Request object that got the redirect
+ * @param {object} parsedResponse - Parsed redirect response
+ * @param {object} options - Redirect options
+ * @param {boolean} options.trusted - Send credentials to other origins too
+ * @param {object[]} options.jar - Cookies received so far
+ * @returns {object} - Request object for the Location
+ */
+function buildRedirectRequest(original, current, parsedResponse, options) {
+    const { trusted = false, jar = [] } = options;
+    const location = [].concat(parsedResponse.headers.location)[0];
+    const target = resolveLocation(location, current);
+    const { method, keepBody } = getRedirectMethod(parsedResponse.statusCode, current.method);
+
+    const next = { ...current, ...target, method };
+    const sendCredentials = trusted || isSameOrigin(original, next);
+
+    next.headers = current.headers.filter(header => {
+        const name = header.split(':')[0].trim().toLowerCase();
+        if (!keepBody && BODY_HEADERS.includes(name)) {
+            return false;
+        }
+        return sendCredentials || !CREDENTIAL_HEADERS.includes(name);
+    });
+    if (!sendCredentials) {
+        next.auth = null;
+    }
+    if (!keepBody) {
+        next.data = Buffer.alloc(0);
+        next.form = [];
+    }
+
+    // Cookies from -b stay with the first origin, received ones follow their domain
+    const cookies = [sendCredentials ? original.cookie : '', getJarCookies(jar, next)];
+    next.cookie = cookies.filter(Boolean).join('; ');
+
+    return next;
+}
+
+/**
+ * Send request and follow redirects
+ * @param {object} requestObj - Request object (from createRequestObject)
+ * @param {object} options - Redirect options
+ * @param {number} options.maxRedirs - Maximum redirects to follow (-1 = unlimited)
+ * @param {boolean} options.trusted - Send Authorization/Cookie to other origins too
+ * @param {object} options.parse - Options for parseResponse (each hop gets its own timings)
+ * @param {ConnectionPool} options.pool - Reuse connections from this pool (see sendRequest)
+ * @param {function} options.onConnect - Called with each socket a hop is sent on (see sendRequest)
+ * @param {function} options.onRedirect - Called before each hop with
+ *   { requestObj, response, parsedResponse, next, count, cookies }
+ * @returns {Promise<{ response: Buffer, parsedResponse: object, requestObj: object, chain: object[], cookies: string[] }>}
+ *   Final response, its request, every hop ({ requestObj, parsedResponse }) and received Set-Cookie values
+ * @throws {HttpError} If more than maxRedirs redirects are received
+ */
+export async function followRedirects(requestObj, options = {}) {
+    const { maxRedirs = 50, trusted = false, parse = {}, pool = null, onConnect = null, onRedirect = null } = options;
+    const chain = [];
+    const jar = [];
+    let current = requestObj;
+
+    for (;;) {
+        const timings = createTimings();
+        const response = await sendRequest(current, { pool, timings, onConnect });
+        const parsedResponse = parseResponse(response, { ...parse, timings });
+        chain.push({ requestObj: current, parsedResponse });
+        storeCookies(jar, extractCookies(response), current.host);
+
+        const cookies = jar.map(c => c.setCookie);
+        const isRedirect = parsedResponse.valid &&
+            REDIRECT_CODES.includes(parsedResponse.statusCode) &&
+            Boolean(parsedResponse.headers.location);
+        if (!isRedirect) {
+            return { response, parsedResponse, requestObj: current, chain, cookies };
+        }
+
+        const count = chain.length;
+        if (maxRedirs >= 0 && count > maxRedirs) {
+            throw new HttpError(`Maximum redirects followed (${maxRedirs})`, parsedResponse.statusCode, parsedResponse);
+        }
+
+        const next = buildRedirectRequest(requestObj, current, parsedResponse, { trusted, jar });
+        if (onRedirect) {
+            onRedirect({ requestObj: current, response, parsedResponse, next, count, cookies });
+        }
+        current = next;
+    }
+}
@@ -2,16 +2,60 @@
  * HTTP Response Parser
  * 
  * Parses raw HTTP responses into structured objects.
+ * Includes an incremental parser that finds the end of a message
+ * without waiting for the connection to close.
  */
 
+import zlib from 'zlib';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
+/**
+ * Parse header lines into an object (lowercase keys)
+ * Repeated headers (e.g. Set-Cookie) become arrays.
+ * @param {string[]} headerLines - Lines in "Name: value" format
+ * @param {object} headers - Object to add headers to
+ * @returns {object}
+ */
+function parseHeaderLines(headerLines, headers = {}) {
+    headerLines.forEach(line => {
+        const colonIndex = line.indexOf(':');
+        if (colonIndex > 0) {
+            const key = line.substring(0, colonIndex).trim().toLowerCase();
+            const value = line.substring(colonIndex + 1).trim();
+            
+            // Headers can have multiple values (e.g. Set-Cookie)
+            if (headers[key]) {
+                if (Array.isArray(headers[key])) {
+                    headers[key].push(value);
+                } else {
+                    headers[key] = [headers[key], value];
+                }
+            } else {
+                headers[key] = value;
+            }
+        }
+    });
+    
+    return headers;
+}
+
 /**
  * @typedef {object} ParsedResponse
  * @property {boolean} valid - Whether the response is valid HTTP
  * @property {number} statusCode - HTTP status code
  * @property {string} statusText - HTTP status text
  * @property {object} headers - Response headers (lowercase keys)
- * @property {string} body - Response body
- * @property {string} raw - Raw response string
+ * @property {object} trailers - Trailer headers of chunked responses (lowercase keys)
+ * @property {string} head - Raw status line and headers
+ * @property {Buffer} body - Response body bytes (chunked/content encoding removed unless rawBody)
+ * @property {number} encodedSize - Body size in bytes before content decoding
+ * @property {number} decodedSize - Body size in bytes after content decoding
+ * @property {string|null} decodeError - Content decoding failure, if any
+ * @property {Buffer|string} raw - Raw response
+ * @property {Timings|null} timings - Request timings (when given to parseResponse)
+ * @property {function} text - Body decoded as text (charset from Content-Type)
+ * @property {function} isBinary - Check if the body should not be printed as text
  * @property {function} isSuccess - Check if 2xx status
  * @property {function} isRedirect - Check if 3xx status
  * @property {function} isClientError - Check if 4xx status
@@ -20,19 +64,33 @@
 
 /**
  * Parse raw HTTP response
- * @param {string} response - Raw HTTP response
+ * Headers are split from the body at the byte level, so binary and
+ * compressed bodies survive until they are decoded.
+ * @param {Buffer|string} response - Raw HTTP response
+ * @param {object} options - Parse options
+ * @param {boolean} options.rawBody - Keep the body as received (no chunked or content decoding)
+ * @param {boolean} options.decompress - Decode Content-Encoding (gzip, deflate, br)
+ * @param {Timings} options.timings - Timings of the request (from sendRequest) to attach
  * @returns {ParsedResponse}
  */
-export function parseResponse(response) {
-    if (!response || response.trim() === '') {
+export function parseResponse(response, options = {}) {
+    const { rawBody = false, decompress = false, timings = null } = options;
+    
+    if (!response || response.toString().trim() === '') {
         return {
             valid: false,
             error: 'Empty response',
             raw: response,
+            timings,
         };
     }
 
-    const lines = response.split('\r\n');
+    const data = Buffer.isBuffer(response) ? response : Buffer.from(response);
+    
+    // Separate headers from body
+    const headerEndIndex = data.indexOf('\r\n\r\n');
+    const head = (headerEndIndex === -1 ? data : data.subarray(0, headerEndIndex)).toString();
+    const lines = head.split('\r\n');
     const statusLine = lines[0];
     
     // Parse status line (e.g. "HTTP/1.1 200 OK")
@@ -43,47 +101,51 @@ export function parseResponse(response) {
             valid: false,
             error: 'Invalid HTTP response format',
             raw: response,
+            timings,
         };
     }
 
     const statusCode = parseInt(statusMatch[1]);
     const statusText = statusMatch[2] || '';
+    const headers = parseHeaderLines(lines.slice(1));
 
-    // Separate headers from body
-    const headerEndIndex = response.indexOf('\r\n\r\n');
-    const headers = {};
-    const headerLines = response.substring(0, headerEndIndex).split('\r\n').slice(1);
+    let bodyBuffer = headerEndIndex > 0 ? data.subarray(headerEndIndex + 4) : Buffer.alloc(0);
+    let trailers = {};
+    let decodeError = null;
     
-    headerLines.forEach(line => {
-        const colonIndex = line.indexOf(':');
-        if (colonIndex > 0) {
-            const key = line.substring(0, colonIndex).trim().toLowerCase();
-            const value = line.substring(colonIndex + 1).trim();
-            
-            // Headers can have multiple values (e.g. Set-Cookie)
-            if (headers[key]) {
-                if (Array.isArray(headers[key])) {
-                    headers[key].push(value);
-                } else {
-                    headers[key] = [headers[key], value];
-                }
-            } else {
-                headers[key] = value;
-            }
-        }
-    });
-
-    const body = headerEndIndex > 0 ? response.substring(headerEndIndex + 4) : '';
+    // Decode chunked transfer encoding
+    if (!rawBody && isChunked(headers)) {
+        const decoded = decodeChunked(bodyBuffer);
+        bodyBuffer = decoded.body;
+        trailers = decoded.trailers;
+    }
+    
+    // Decode content encoding (gzip, deflate, br)
+    const encodedSize = bodyBuffer.length;
+    if (!rawBody && decompress && headers['content-encoding']) {
+        const decoded = decodeContentEncoding(bodyBuffer, headers['content-encoding']);
+        bodyBuffer = decoded.body;
+        decodeError = decoded.error;
+    }
 
     return {
         valid: true,
         statusCode,
         statusText,
         headers,
-        body,
+        trailers,
+        head,
+        body: bodyBuffer,
+        encodedSize,
+        decodedSize: bodyBuffer.length,
+        decodeError,
         raw: response,
+        timings,
         
         // Helper methods
+        text: () => decodeBody(bodyBuffer, headers),
+        isBinary: () => isBinaryBody(bodyBuffer, headers),
+        isJson: () => JSON_CONTENT_TYPE.test([].concat(headers['content-type'] || [])[0] || ''),
         isSuccess: () => statusCode >= 200 && statusCode < 300,
         isRedirect: () => statusCode >= 300 && statusCode < 400,
         isClientError: () => statusCode >= 400 && statusCode < 500,
@@ -91,14 +153,532 @@ export function parseResponse(response) {
     };
 }
 
+/**
+ * Get charset from Content-Type header
+ * @param {object} headers - Response headers (lowercase keys)
+ * @returns {string} - Charset (lowercase), or empty string if not set
+ */
+export function getCharset(headers) {
+    const contentType = [].concat(headers['content-type'] || [])[0] || '';
+    const match = contentType.match(/;\s*charset\s*=\s*"?([^";\s]+)"?/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Decode body bytes as text
+ * Uses the charset from Content-Type, falling back to UTF-8.
+ * @param {Buffer} body - Body bytes
+ * @param {object} headers - Response headers (lowercase keys)
+ * @returns {string}
+ */
+export function decodeBody(body, headers = {}) {
+    const charset = getCharset(headers) || 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(body);
+    } catch (err) {
+        // Unknown charset label
+        return body.toString('utf-8');
+    }
+}
+
+/**
+ * Content types that are text even without a text/* type
+ */
+const TEXT_CONTENT_TYPE = /^text\/|[/+](json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|yaml|csv)\b/i;
+
+/**
+ * JSON content types (application/json, application/problem+json, ...)
+ */
+const JSON_CONTENT_TYPE = /[/+]json\b/i;
+
+/**
+ * Check if body is binary (should not be printed as text)
+ * Decided by Content-Type, or by NUL bytes when there is none.
+ * @param {Buffer} body - Body bytes
+ * @param {object} headers - Response headers (lowercase keys)
+ * @returns {boolean}
+ */
+export function isBinaryBody(body, headers = {}) {
+    if (body.length === 0) {
+        return false;
+    }
+    
+    const contentType = [].concat(headers['content-type'] || [])[0] || '';
+    if (contentType) {
+        return !TEXT_CONTENT_TYPE.test(contentType) && !getCharset(headers);
+    }
+    
+    return body.subarray(0, 8192).includes(0);
+}
+
+/**
+ * Content-Encoding decoders (zlib)
+ */
+const CONTENT_DECODERS = {
+    'gzip': (data) => zlib.gunzipSync(data),
+    'x-gzip': (data) => zlib.gunzipSync(data),
+    // Servers send both zlib-wrapped and raw deflate
+    'deflate': (data) => {
+        try {
+            return zlib.inflateSync(data);
+        } catch (err) {
+            return zlib.inflateRawSync(data);
+        }
+    },
+    'br': (data) => zlib.brotliDecompressSync(data),
+    'identity': (data) => data,
+};
+
+/**
+ * Decode a body by its Content-Encoding
+ * Stacked encodings ("gzip, br") are removed in reverse order.
+ * Stops at the first unknown or broken encoding and returns what was decoded so far.
+ * @param {Buffer} data - Encoded body
+ * @param {string|string[]} contentEncoding - Content-Encoding header value(s)
+ * @returns {{ body: Buffer, encodings: string[], error: string|null }}
+ */
+export function decodeContentEncoding(data, contentEncoding) {
+    const encodings = [].concat(contentEncoding)
+        .join(',')
+        .toLowerCase()
+        .split(',')
+        .map(e => e.trim())
+        .filter(Boolean);
+    
+    let body = data;
+    for (const encoding of [...encodings].reverse()) {
+        const decoder = CONTENT_DECODERS[encoding];
+        if (!decoder) {
+            return { body, encodings, error: `Unsupported content encoding: ${encoding}` };
+        }
+        try {
+            body = decoder(body);
+        } catch (err) {
+            return { body, encodings, error: `Failed to decode ${encoding} body: ${err.message}` };
+        }
+    }
+    
+    return { body, encodings, error: null };
+}
+
+/**
+ * Parse WWW-Authenticate / Proxy-Authenticate header values (RFC 9110, section 11.6.1)
+ * One header may carry several challenges, e.g.
+ *   Digest realm="x", nonce="y", qop="auth", Basic realm="x"
+ * @param {string|string[]} values - Header value(s)
+ * @returns {{ scheme: string, params: object }[]} - Challenges (lowercase scheme and parameter names)
+ */
+export function parseAuthenticate(values) {
+    const challenges = [];
+    const tokenRegex = /\s*([^\s=,]+)(?:\s*=\s*("(?:[^"\\]|\\.)*"|[^\s,]*))?\s*,?/g;
+    
+    for (const value of [].concat(values || [])) {
+        let challenge = null;
+        let match;
+        tokenRegex.lastIndex = 0;
+        
+        while ((match = tokenRegex.exec(value)) !== null && match[0] !== '') {
+            const [, name, rawValue] = match;
+            if (rawValue === undefined) {
+                // A bare token starts a new challenge (token68 values are not used)
+                challenge = { scheme: name.toLowerCase(), params: {} };
+                challenges.push(challenge);
+            } else if (challenge) {
+                challenge.params[name.toLowerCase()] = rawValue.startsWith('"')
+                    ? rawValue.slice(1, -1).replace(/\\(.)/g, '$1')
+                    : rawValue;
+            }
+        }
+    }
+    
+    return challenges;
+}
+
+/**
+ * Check if the body uses chunked transfer encoding (as the final coding)
+ * @param {object} headers - Response headers (lowercase keys)
+ * @returns {boolean}
+ */
+export function isChunked(headers) {
+    const codings = [].concat(headers['transfer-encoding'] || [])
+        .join(',')
+        .toLowerCase()
+        .split(',')
+        .map(c => c.trim())
+        .filter(Boolean);
+    return codings[codings.length - 1] === 'chunked';
+}
+
+/**
+ * Parser states
+ */
+const STATE = {
+    HEAD: 'head',
+    BODY_LENGTH: 'body-length',
+    BODY_CLOSE: 'body-close',
+    CHUNK_SIZE: 'chunk-size',
+    CHUNK_DATA: 'chunk-data',
+    CHUNK_DATA_END: 'chunk-data-end',
+    TRAILERS: 'trailers',
+    DONE: 'done',
+};
+
+/**
+ * Incremental HTTP/1.1 response parser
+ * @extends EventEmitter
+ * 
+ * Feed it bytes as they arrive with execute() and call finish() when the
+ * connection closes. The end of the message is found from Content-Length,
+ * chunked framing or connection close (RFC 9112, section 6.3).
+ * Interim 1xx responses (e.g. 100 Continue) are skipped.
+ * 
+ * Chunked bodies are decoded unless the raw option is set.
+ * 
+ * Events:
+ *   - headers: Status line and headers parsed ({ statusCode, statusText, httpVersion, headers })
+ *   - data: Body chunk (Buffer)
+ *   - trailers: Trailer headers of a chunked body (object, lowercase keys)
+ *   - end: Message complete
+ */
+export class ResponseParser extends EventEmitter {
+    /**
+     * Create response parser
+     * @param {object} options - Parser options
+     * @param {string} options.method - Request method (HEAD responses have no body)
+     * @param {boolean} options.stream - Expose the body as a Readable stream (parser.body)
+     * @param {boolean} options.raw - Emit the body as framed on the wire (no chunked decoding)
+     */
+    constructor(options = {}) {
+        super();
+        
+        this.method = (options.method || 'GET').toUpperCase();
+        this.raw = options.raw || false;
+        this.state = STATE.HEAD;
+        this.buffer = Buffer.alloc(0);
+        
+        // Byte offsets in the received stream
+        this.offset = 0;
+        this.messageStart = 0;
+        this.messageEnd = -1;
+        
+        this.statusCode = 0;
+        this.statusText = '';
+        this.httpVersion = '';
+        this.headers = {};
+        this.trailers = {};
+        
+        // How the end of the body is found: 'length', 'chunked', 'close' or 'none'
+        this.framing = null;
+        this.remaining = 0;
+        
+        this.complete = false;
+        this.truncated = false;
+        this.error = null;
+        
+        this.body = options.stream ? new Readable({ read() {} }) : null;
+    }
+
+    /**
+     * Feed received bytes to the parser
+     * Bytes after the end of the message are kept in parser.buffer.
+     * @param {Buffer} chunk - Received data
+     * @returns {boolean} - Whether the message is complete
+     */
+    execute(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        
+        while (!this.complete && this._step()) {
+            // Keep parsing while there is progress
+        }
+        
+        return this.complete;
+    }
+
+    /**
+     * Signal that the connection was closed
+     * Completes close-delimited messages; anything else is truncated.
+     */
+    finish() {
+        if (this.complete) {
+            return;
+        }
+        
+        if (this.state !== STATE.BODY_CLOSE) {
+            this.truncated = true;
+            
+            // Keep whatever arrived as part of the (broken) message
+            this._consume(this.buffer.length);
+            if (!this.error) {
+                this.error = this.offset === this.messageStart
+                    ? 'Empty response'
+                    : 'Connection closed before the response was complete';
+            }
+        }
+        
+        this._done();
+    }
+
+    /**
+     * Take bytes from the front of the buffer
+     * @private
+     * @param {number} length - Number of bytes
+     * @returns {Buffer}
+     */
+    _consume(length) {
+        const data = this.buffer.subarray(0, length);
+        this.buffer = this.buffer.subarray(length);
+        this.offset += length;
+        return data;
+    }
+
+    /**
+     * Take one CRLF-terminated line from the buffer
+     * @private
+     * @returns {string|null} - Line without CRLF, or null if incomplete
+     */
+    _consumeLine() {
+        const lineEnd = this.buffer.indexOf('\r\n');
+        if (lineEnd === -1) {
+            return null;
+        }
+        return this._consume(lineEnd + 2).toString('latin1', 0, lineEnd);
+    }
+
+    /**
+     * Emit body data
+     * @private
+     * @param {Buffer} data
+     */
+    _emitBody(data) {
+        if (data.length === 0) {
+            return;
+        }
+        if (this.body) {
+            this.body.push(data);
+        }
+        this.emit('data', data);
+    }
+
+    /**
+     * Emit chunked framing bytes (size lines, CRLFs, trailers) in raw mode
+     * @private
+     * @param {Buffer} data
+     */
+    _emitFraming(data) {
+        if (this.raw) {
+            this._emitBody(data);
+        }
+    }
+
+    /**
+     * Mark message as complete
+     * @private
+     */
+    _done() {
+        this.state = STATE.DONE;
+        this.complete = true;
+        this.messageEnd = this.offset;
+        if (this.body) {
+            this.body.push(null);
+        }
+        this.emit('end');
+    }
+
+    /**
+     * Run one parsing step
+     * @private
+     * @returns {boolean} - Whether progress was made
+     */
+    _step() {
+        switch (this.state) {
+            case STATE.HEAD:
+                return this._parseHead();
+            
+            case STATE.BODY_LENGTH: {
+                if (this.buffer.length === 0) return false;
+                const data = this._consume(Math.min(this.remaining, this.buffer.length));
+                this.remaining -= data.length;
+                this._emitBody(data);
+                if (this.remaining === 0) this._done();
+                return true;
+            }
+            
+            case STATE.BODY_CLOSE: {
+                if (this.buffer.length === 0) return false;
+                this._emitBody(this._consume(this.buffer.length));
+                return false;
+            }
+            
+            case STATE.CHUNK_SIZE: {
+                const line = this._consumeLine();
+                if (line === null) return false;
+                
+                // Size may be followed by chunk extensions (";name=value")
+                const size = parseInt(line.split(';')[0].trim(), 16);
+                if (isNaN(size)) {
+                    this.error = `Invalid chunk size: ${line}`;
+                    this.state = STATE.BODY_CLOSE;
+                    return true;
+                }
+                
+                this._emitFraming(Buffer.from(line + '\r\n', 'latin1'));
+                this.remaining = size;
+                this.state = size === 0 ? STATE.TRAILERS : STATE.CHUNK_DATA;
+                return true;
+            }
+            
+            case STATE.CHUNK_DATA: {
+                if (this.buffer.length === 0) return false;
+                const data = this._consume(Math.min(this.remaining, this.buffer.length));
+                this.remaining -= data.length;
+                this._emitBody(data);
+                if (this.remaining === 0) this.state = STATE.CHUNK_DATA_END;
+                return true;
+            }
+            
+            case STATE.CHUNK_DATA_END: {
+                if (this.buffer.length < 2) return false;
+                this._emitFraming(this._consume(2));
+                this.state = STATE.CHUNK_SIZE;
+                return true;
+            }
+            
+            case STATE.TRAILERS: {
+                const line = this._consumeLine();
+                if (line === null) return false;
+                this._emitFraming(Buffer.from(line + '\r\n', 'latin1'));
+                if (line === '') {
+                    if (Object.keys(this.trailers).length > 0) {
+                        this.emit('trailers', this.trailers);
+                    }
+                    this._done();
+                } else {
+                    parseHeaderLines([line], this.trailers);
+                }
+                return true;
+            }
+            
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Parse status line and headers, then pick the body framing
+     * @private
+     * @returns {boolean} - Whether progress was made
+     */
+    _parseHead() {
+        const headerEnd = this.buffer.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+            return false;
+        }
+        
+        const head = this._consume(headerEnd + 4).toString('latin1', 0, headerEnd);
+        const lines = head.split('\r\n');
+        const statusMatch = lines[0].match(/^HTTP\/([\d.]+)\s+(\d+)\s*(.*)$/);
+        
+        if (!statusMatch) {
+            // Not HTTP: read until the connection closes
+            this.error = 'Invalid HTTP response format';
+            this.framing = 'close';
+            this.state = STATE.BODY_CLOSE;
+            return true;
+        }
+        
+        const statusCode = parseInt(statusMatch[2]);
+        
+        // Interim response (100 Continue, 103 Early Hints): wait for the final one
+        if (statusCode >= 100 && statusCode < 200 && statusCode !== 101) {
+            this.messageStart = this.offset;
+            return true;
+        }
+        
+        this.httpVersion = statusMatch[1];
+        this.statusCode = statusCode;
+        this.statusText = statusMatch[3] || '';
+        this.headers = parseHeaderLines(lines.slice(1));
+        
+        this.emit('headers', {
+            statusCode: this.statusCode,
+            statusText: this.statusText,
+            httpVersion: this.httpVersion,
+            headers: this.headers,
+        });
+        
+        this._selectFraming();
+        return true;
+    }
+
+    /**
+     * Pick how the end of the body is found (RFC 9112, section 6.3)
+     * @private
+     */
+    _selectFraming() {
+        const contentLength = [].concat(this.headers['content-length'] || [])[0];
+        
+        if (this.method === 'HEAD' || this.statusCode === 101 ||
+            this.statusCode === 204 || this.statusCode === 304) {
+            this.framing = 'none';
+            this._done();
+        } else if (this.headers['transfer-encoding']) {
+            // Chunked must be the final encoding, otherwise the body ends at close
+            if (isChunked(this.headers)) {
+                this.framing = 'chunked';
+                this.state = STATE.CHUNK_SIZE;
+            } else {
+                this.framing = 'close';
+                this.state = STATE.BODY_CLOSE;
+            }
+        } else if (contentLength !== undefined && /^\d+$/.test(contentLength.trim())) {
+            this.framing = 'length';
+            this.remaining = parseInt(contentLength);
+            this.state = STATE.BODY_LENGTH;
+            if (this.remaining === 0) this._done();
+        } else {
+            this.framing = 'close';
+            this.state = STATE.BODY_CLOSE;
+        }
+    }
+}
+
+/**
+ * Decode a chunked body
+ * Malformed framing is passed through as-is from the point where it breaks.
+ * @param {Buffer} data - Chunked body as received
+ * @returns {{ body: Buffer, trailers: object, complete: boolean }}
+ */
+export function decodeChunked(data) {
+    const parser = new ResponseParser();
+    const chunks = [];
+    
+    // Start directly at the first chunk (no status line or headers)
+    parser.framing = 'chunked';
+    parser.state = STATE.CHUNK_SIZE;
+    parser.on('data', (chunk) => chunks.push(chunk));
+    
+    parser.execute(data);
+    parser.finish();
+    
+    return {
+        body: Buffer.concat(chunks),
+        trailers: parser.trailers,
+        complete: !parser.truncated && !parser.error,
+    };
+}
+
 /**
  * Extract cookies from response (Set-Cookie headers)
- * @param {string} response - Raw HTTP response
+ * @param {Buffer|string} response - Raw HTTP response
  * @returns {string[]} - Array of cookie strings
  */
 export function extractCookies(response) {
     const cookies = [];
-    const lines = response.split('\r\n');
+    
+    // Only look at the headers (the body may be binary)
+    const data = Buffer.isBuffer(response) ? response : Buffer.from(response);
+    const headerEnd = data.indexOf('\r\n\r\n');
+    const lines = (headerEnd === -1 ? data : data.subarray(0, headerEnd)).toString().split('\r\n');
     
     for (const line of lines) {
         if (line.toLowerCase().startsWith('set-cookie:')) {
@@ -131,7 +711,9 @@ export function extractCookies(response) {
 export function parseCookie(cookieString) {
     const parts = cookieString.split(';').map(p => p.trim());
     const [nameValue, ...attributes] = parts;
-    const [name, value] = nameValue.split('=');
+    const separator = nameValue.indexOf('=');
+    const name = separator === -1 ? nameValue : nameValue.substring(0, separator);
+    const value = separator === -1 ? '' : nameValue.substring(separator + 1);
     
     const cookie = {
         name: name?.trim(),
@@ -0,0 +1,196 @@
+/**
+ * Connection Builder
+ *
+ * Opens a stream to the target host, composing the transport layers:
+ *   TCP → proxy handshakes (SOCKS or CONNECT, one per chained proxy) → TLS
+ */
+
+import { createConnection } from './tcp.js';
+import { upgradeToTls } from './tls.js';
+import { isSocksProxy, socksConnect } from './socks.js';
+import { establishTunnel } from './tunnel.js';
+import { resolveTarget } from './resolve.js';
+import { ConnectionError, TimeoutError } from '../utils/errors.js';
+import { formatHost } from '../utils/validators.js';
+
+/**
+ * Get the proxies of a chain in connection order
+ * @param {object} proxy - Last proxy (from parseProxyChain), earlier ones linked by via
+ * @returns {object[]} - Proxies, starting with the one jsurl connects to
+ */
+export function getProxyHops(proxy) {
+    const hops = [];
+    for (let hop = proxy; hop && hop.host && hop.port; hop = hop.via) {
+        hops.unshift(hop);
+    }
+    return hops;
+}
+
+/**
+ * Format proxy for messages
+ * @param {object} proxy - Proxy object (from parseProxy)
+ * @returns {string} - e.g. "http://127.0.0.1:8080"
+ */
+export function formatProxy(proxy) {
+    return `${proxy.type}://${formatHost(proxy.host)}:${proxy.port}`;
+}
+
+/**
+ * Check if requests must be sent to an HTTP forward proxy (absolute-form)
+ * instead of being tunnelled to the target
+ * @param {object} proxy - Proxy object (from parseProxy)
+ * @param {object} options - Connection options
+ * @param {boolean} options.secure - TLS to the target (always tunnelled)
+ * @param {boolean} options.tunnel - Force CONNECT for plain HTTP
+ * @returns {boolean}
+ */
+export function isForwardProxy(proxy, options = {}) {
+    const { secure = false, tunnel = false } = options;
+    return Boolean(proxy && proxy.host && proxy.port) &&
+        !isSocksProxy(proxy) && !secure && !tunnel;
+}
+
+/**
+ * Connect to the first reachable host
+ * @param {string[]} hosts - Hosts or addresses to try in order
+ * @param {object} options - Options for createConnection (port, local address, timeout, timings)
+ * @returns {Promise<net.Socket>}
+ */
+async function connectFirst(hosts, options) {
+    let lastError;
+    for (const host of hosts) {
+        try {
+            return await createConnection({ ...options, host });
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Have a proxy of the chain open a tunnel to the next host (SOCKS or CONNECT)
+ * Errors name the proxy when there is more than one.
+ * @param {net.Socket} socket - Socket connected (or tunnelled) to the proxy
+ * @param {object[]} hops - Proxies in connection order (from getProxyHops)
+ * @param {number} index - Index of the proxy in hops
+ * @param {object} options - Tunnel options
+ * @param {string} options.host - Next host (the following proxy, or the target)
+ * @param {number} options.port - Next port
+ * @param {number} options.family - Address family for local resolution (SOCKS)
+ * @param {number} options.timeout - Handshake timeout in ms
+ * @returns {Promise<void>}
+ */
+async function connectThroughProxy(socket, hops, index, options) {
+    const { host, port, family, timeout } = options;
+    const proxy = hops[index];
+
+    try {
+        if (isSocksProxy(proxy)) {
+            await socksConnect(socket, {
+                type: proxy.type,
+                username: proxy.username,
+                password: proxy.password,
+                host,
+                port,
+                family,
+                timeout,
+            });
+        } else {
+            await establishTunnel(socket, { host, port, proxy, timeout });
+        }
+    } catch (err) {
+        if (hops.length === 1) {
+            throw err;
+        }
+        const message = `Proxy ${index + 1} of ${hops.length} (${formatProxy(proxy)}): ${err.message}`;
+        if (err instanceof TimeoutError) {
+            throw new TimeoutError(message, err.timeout);
+        }
+        throw new ConnectionError(message, err.code, err.cause || err);
+    }
+}
+
+/**
+ * Open a connection to the target
+ * With socketPath, the stream goes to a local socket and proxies are not used.
+ * With resolve/connectTo, the connection (or the proxy's connection) goes to
+ * the overridden endpoint. Either way, host and port still name the target
+ * for TLS (SNI, certificate verification).
+ * @param {object} options - Connection options
+ * @param {string} options.host - Target host
+ * @param {number} options.port - Target port
+ * @param {string} options.socketPath - Unix socket path (optional, replaces the TCP connection)
+ * @param {object[]} options.resolve - Parsed --resolve entries (optional)
+ * @param {object[]} options.connectTo - Parsed --connect-to entries (optional)
+ * @param {number} options.family - Address family (4, 6, or 0 for both)
+ * @param {string} options.localAddress - Source address (optional, see resolveInterface)
+ * @param {object} options.localPort - Source port range (optional, see parseLocalPort)
+ * @param {object} options.proxy - Proxy object (from parseProxyChain, optional)
+ * @param {boolean} options.tunnel - Use CONNECT through HTTP proxies for plain connections
+ * @param {boolean} options.secure - TLS to the target
+ * @param {object} options.tls - TLS options (see buildTlsOptions)
+ * @param {number} options.timeout - Timeout in ms
+ * @param {Timings} options.timings - Timings to mark connection phases in (optional)
+ * @returns {Promise<net.Socket|tls.TLSSocket>} - Socket ready for application data
+ */
+export async function openConnection(options) {
+    const {
+        host,
+        port,
+        socketPath = '',
+        resolve = [],
+        connectTo = [],
+        family = 0,
+        localAddress = '',
+        localPort = null,
+        tunnel = false,
+        secure = false,
+        tls = {},
+        timeout = 10000,
+        timings = null,
+    } = options;
+
+    const proxy = socketPath ? null : options.proxy || null;
+    const hops = getProxyHops(proxy);
+    const useProxy = hops.length > 0;
+    const target = resolveTarget(host, port, { resolve, connectTo });
+
+    let socket = await connectFirst(useProxy ? [hops[0].host] : target.hosts, {
+        port: useProxy ? hops[0].port : target.port,
+        socketPath,
+        family,
+        localAddress,
+        localPort,
+        timeout,
+        timings,
+    });
+
+    try {
+        // Proxy chain: each proxy tunnels to the next one
+        for (let index = 0; index < hops.length - 1; index++) {
+            const next = hops[index + 1];
+            await connectThroughProxy(socket, hops, index, { host: next.host, port: next.port, family, timeout });
+        }
+
+        // Proxy handshake: from here on the socket talks to the target
+        if (useProxy && !isForwardProxy(proxy, { secure, tunnel })) {
+            await connectThroughProxy(socket, hops, hops.length - 1, {
+                host: target.hosts[0],
+                port: target.port,
+                family,
+                timeout,
+            });
+        }
+
+        // TLS handshake with the target
+        if (secure) {
+            socket = await upgradeToTls(socket, { host, timeout, timings, ...tls });
+        }
+    } catch (err) {
+        socket.destroy();
+        throw err;
+    }
+
+    return socket;
+}
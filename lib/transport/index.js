@@ -4,12 +4,27 @@
  * Abstracts the transport layer to support:
  * - HTTP over TCP
  * - WebSocket over TCP
- * - Future: TLS/SSL
+ * - HTTPS/WSS over TLS
+ * - SOCKS4/4a/5 proxies
+ * - HTTP CONNECT tunnels
+ * - Keep-alive connection pooling
+ * - Target overrides (--resolve, --connect-to)
+ * - Source address and port binding (--interface, --local-port)
  * 
  * @module jsurl/transport
  */
 
 import * as tcp from './tcp.js';
+import * as tls from './tls.js';
+import * as socks from './socks.js';
+import * as tunnel from './tunnel.js';
+import * as pool from './pool.js';
 
-export { tcp };
+export { tcp, tls, socks, tunnel, pool };
 export * from './tcp.js';
+export * from './tls.js';
+export * from './socks.js';
+export * from './tunnel.js';
+export * from './connection.js';
+export * from './pool.js';
+export * from './resolve.js';
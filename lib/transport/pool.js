@@ -0,0 +1,191 @@
+/**
+ * Connection Pool
+ *
+ * Keeps sockets open between requests (HTTP keep-alive). Connections are
+ * keyed by everything that makes them specific: target, TLS settings and
+ * proxy, so a socket is only reused for an identical connection.
+ */
+
+import { EventEmitter } from 'events';
+import { openConnection } from './connection.js';
+
+/**
+ * Get pool key for connection options
+ * Every option except the timeout (and the timings of the request) makes a connection distinct.
+ * @param {object} options - Connection options (see openConnection)
+ * @returns {string}
+ */
+export function getPoolKey(options) {
+    const { timeout, timings, ...rest } = options;
+    return JSON.stringify({ ...rest, host: String(rest.host).toLowerCase() });
+}
+
+/**
+ * Pool of reusable connections
+ *
+ * Events:
+ *   - connect: New connection opened ({ host, port, key })
+ *   - reuse: Idle connection reused ({ host, port, key })
+ */
+export class ConnectionPool extends EventEmitter {
+    /**
+     * @param {object} options - Pool options
+     * @param {number} options.maxSockets - Maximum open sockets per key
+     * @param {number} options.idleTimeout - Close idle sockets after this many ms
+     */
+    constructor(options = {}) {
+        super();
+        this.maxSockets = options.maxSockets || 6;
+        this.idleTimeout = options.idleTimeout || 5000;
+        this.closed = false;
+
+        this.idle = new Map();      // key -> idle sockets
+        this.counts = new Map();    // key -> open (or opening) sockets
+        this.waiting = new Map();   // key -> callbacks waiting for a free slot
+        this.sockets = new Map();   // socket -> { key, timer }
+    }
+
+    /**
+     * Get a connection: an idle one, a new one, or the next one released
+     * @param {object} options - Connection options (see openConnection)
+     * @param {object} acquireOptions - Acquire options
+     * @param {boolean} acquireOptions.reuse - Allow idle sockets (false forces a new connection)
+     * @returns {Promise<{ socket: net.Socket|tls.TLSSocket, reused: boolean }>}
+     */
+    async acquire(options, acquireOptions = {}) {
+        const { reuse = true } = acquireOptions;
+        const key = getPoolKey(options);
+        const { host, port } = options;
+
+        const socket = reuse ? this._takeIdle(key) : null;
+        if (socket) {
+            this.emit('reuse', { host, port, key });
+            return { socket, reused: true };
+        }
+
+        // Wait for a slot when the limit is reached
+        if ((this.counts.get(key) || 0) >= this.maxSockets) {
+            await new Promise(resolve => {
+                if (!this.waiting.has(key)) {
+                    this.waiting.set(key, []);
+                }
+                this.waiting.get(key).push(resolve);
+            });
+            return this.acquire(options, acquireOptions);
+        }
+
+        this.counts.set(key, (this.counts.get(key) || 0) + 1);
+        try {
+            const newSocket = await openConnection(options);
+            this._track(newSocket, key);
+            this.emit('connect', { host, port, key });
+            return { socket: newSocket, reused: false };
+        } catch (err) {
+            this._free(key);
+            throw err;
+        }
+    }
+
+    /**
+     * Give a socket back after a request
+     * @param {net.Socket|tls.TLSSocket} socket - Socket from acquire()
+     * @param {boolean} reusable - The response left the connection usable
+     */
+    release(socket, reusable = true) {
+        const entry = this.sockets.get(socket);
+        if (!entry || !reusable || this.closed || socket.destroyed) {
+            socket.destroy();
+            return;
+        }
+
+        // Idle: no response timeout, closed after idleTimeout
+        socket.setTimeout(0);
+        entry.timer = setTimeout(() => socket.destroy(), this.idleTimeout);
+        entry.timer.unref();
+        socket.unref();
+
+        if (!this.idle.has(entry.key)) {
+            this.idle.set(entry.key, []);
+        }
+        this.idle.get(entry.key).push(socket);
+        this._wake(entry.key);
+    }
+
+    /**
+     * Close all idle sockets and stop pooling
+     * Sockets in use are closed when they are released.
+     */
+    destroy() {
+        this.closed = true;
+        for (const sockets of this.idle.values()) {
+            sockets.slice().forEach(socket => socket.destroy());
+        }
+    }
+
+    /**
+     * Take the most recently used idle socket for a key
+     * @private
+     * @param {string} key - Pool key
+     * @returns {net.Socket|tls.TLSSocket|null}
+     */
+    _takeIdle(key) {
+        const sockets = this.idle.get(key) || [];
+        while (sockets.length > 0) {
+            const socket = sockets.pop();
+            if (!socket.destroyed) {
+                clearTimeout(this.sockets.get(socket).timer);
+                socket.ref();
+                return socket;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start tracking a new socket
+     * @private
+     * @param {net.Socket|tls.TLSSocket} socket - Connected socket
+     * @param {string} key - Pool key
+     */
+    _track(socket, key) {
+        this.sockets.set(socket, { key, timer: null });
+
+        socket.once('close', () => {
+            const entry = this.sockets.get(socket);
+            clearTimeout(entry.timer);
+            this.sockets.delete(socket);
+
+            const sockets = this.idle.get(key) || [];
+            const index = sockets.indexOf(socket);
+            if (index !== -1) {
+                sockets.splice(index, 1);
+            }
+            this._free(key);
+        });
+
+        // Errors surface through the request using the socket; idle ones just close
+        socket.on('error', () => {});
+    }
+
+    /**
+     * Release a slot and let the next waiter in
+     * @private
+     * @param {string} key - Pool key
+     */
+    _free(key) {
+        this.counts.set(key, Math.max((this.counts.get(key) || 0) - 1, 0));
+        this._wake(key);
+    }
+
+    /**
+     * Resume the next waiter for a key
+     * @private
+     * @param {string} key - Pool key
+     */
+    _wake(key) {
+        const waiting = this.waiting.get(key);
+        if (waiting && waiting.length > 0) {
+            waiting.shift()();
+        }
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Connection Target Overrides
+ *
+ * curl-style --resolve and --connect-to: the socket goes somewhere else
+ * while the request keeps the original host (Host header, SNI, certificate
+ * verification).
+ */
+
+import net from 'net';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Host part of an entry: [IPv6], or anything up to the next colon
+ */
+const HOST_PART = '(\\[[^\\]]*\\]|[^:]*)';
+
+/**
+ * Remove brackets from an IPv6 literal
+ * @param {string} host - Host (maybe "[::1]")
+ * @returns {string}
+ */
+function unbracket(host) {
+    return host.startsWith('[') && host.endsWith(']') ? host.slice(1, -1) : host;
+}
+
+/**
+ * Parse --resolve entries
+ * Format: host:port:addr[,addr]... (port may be * for any port)
+ * @param {string[]} entries - Entries as given on the command line
+ * @returns {{ host: string, port: number|null, addresses: string[] }[]}
+ * @throws {ValidationError} If an entry is malformed
+ */
+export function parseResolve(entries = []) {
+    const regex = new RegExp(`^${HOST_PART}:(\\d+|\\*):(.+)$`);
+
+    return entries.map(entry => {
+        const match = entry.match(regex);
+        if (!match) {
+            throw new ValidationError(`Invalid --resolve entry: ${entry} (use host:port:address)`, 'resolve');
+        }
+
+        const addresses = match[3].split(',').map(address => unbracket(address.trim()));
+        const invalid = addresses.find(address => !net.isIP(address));
+        if (invalid !== undefined) {
+            throw new ValidationError(`Invalid --resolve address: ${invalid} (must be an IP address)`, 'resolve');
+        }
+
+        return {
+            host: unbracket(match[1]).toLowerCase(),
+            port: match[2] === '*' ? null : parseInt(match[2]),
+            addresses,
+        };
+    });
+}
+
+/**
+ * Parse --connect-to entries
+ * Format: host:port:connect-host:connect-port (empty parts match any / keep the original)
+ * @param {string[]} entries - Entries as given on the command line
+ * @returns {{ host: string, port: number|null, toHost: string, toPort: number|null }[]}
+ * @throws {ValidationError} If an entry is malformed
+ */
+export function parseConnectTo(entries = []) {
+    const regex = new RegExp(`^${HOST_PART}:(\\d*):${HOST_PART}:(\\d*)$`);
+
+    return entries.map(entry => {
+        const match = entry.match(regex);
+        if (!match) {
+            throw new ValidationError(
+                `Invalid --connect-to entry: ${entry} (use host:port:connect-host:connect-port)`,
+                'connectTo'
+            );
+        }
+
+        return {
+            host: unbracket(match[1]).toLowerCase(),
+            port: match[2] ? parseInt(match[2]) : null,
+            toHost: unbracket(match[3]),
+            toPort: match[4] ? parseInt(match[4]) : null,
+        };
+    });
+}
+
+/**
+ * Get where to connect for a target
+ * --connect-to is applied first, then --resolve on its result.
+ * @param {string} host - Target host (from the URL)
+ * @param {number} port - Target port
+ * @param {object} overrides - Overrides
+ * @param {object[]} overrides.connectTo - Parsed --connect-to entries
+ * @param {object[]} overrides.resolve - Parsed --resolve entries
+ * @returns {{ hosts: string[], port: number, overridden: boolean }} - Hosts to try in order and the port
+ */
+export function resolveTarget(host, port, overrides = {}) {
+    const { connectTo = [], resolve = [] } = overrides;
+    let targetHost = host;
+    let targetPort = port;
+
+    const rule = connectTo.find(r =>
+        (!r.host || r.host === host.toLowerCase()) && (r.port === null || r.port === port)
+    );
+    if (rule) {
+        targetHost = rule.toHost || host;
+        targetPort = rule.toPort || port;
+    }
+
+    const entry = resolve.find(r =>
+        r.host === targetHost.toLowerCase() && (r.port === null || r.port === targetPort)
+    );
+
+    return {
+        hosts: entry ? entry.addresses : [targetHost],
+        port: targetPort,
+        overridden: Boolean(rule || entry),
+    };
+}
@@ -6,30 +6,161 @@
  */
 
 import net from 'net';
-import { ConnectionError, TimeoutError } from '../utils/errors.js';
+import os from 'os';
+import { JsurlError, ConnectionError, TimeoutError, ValidationError } from '../utils/errors.js';
+import { formatHost } from '../utils/validators.js';
+import { markTiming } from '../utils/timing.js';
 
 /**
- * Create a TCP connection
+ * Delay before trying the next address family (happy eyeballs, RFC 8305)
+ */
+const FAMILY_ATTEMPT_DELAY = 250;
+
+/**
+ * Parse --local-port value
+ * @param {string|number} value - Port or range ("4000" or "4000-4010")
+ * @returns {{ from: number, to: number }|null} - Port range, or null without value
+ * @throws {ValidationError} If the value is not a valid port or range
+ */
+export function parseLocalPort(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const match = String(value).trim().match(/^(\d+)(?:-(\d+))?$/);
+    const from = match ? parseInt(match[1]) : NaN;
+    const to = match && match[2] ? parseInt(match[2]) : from;
+    if (!match || from < 1 || to > 65535 || from > to) {
+        throw new ValidationError(`Invalid --local-port: ${value} (use a port or range, e.g. 4000-4010)`, 'localPort');
+    }
+
+    return { from, to };
+}
+
+/**
+ * Get local address for --interface
+ * Accepts an IP address or a network interface name (e.g. eth0). An interface
+ * gives its first address of the requested family (IPv4 preferred), skipping
+ * IPv6 link-local addresses, which need a scope to be usable.
+ * @param {string} value - IP address or interface name
+ * @param {number} family - Address family (4, 6, or 0 for either)
+ * @returns {string} - Local address, or empty string without value
+ * @throws {ValidationError} If the interface is unknown or has no matching address
+ */
+export function resolveInterface(value, family = 0) {
+    if (!value) {
+        return '';
+    }
+
+    const address = value.replace(/^\[(.*)\]$/, '$1');
+    const ipFamily = net.isIP(address);
+    if (ipFamily) {
+        if (family && ipFamily !== family) {
+            throw new ValidationError(`--interface ${value} is not an IPv${family} address`, 'interface');
+        }
+        return address;
+    }
+
+    const addresses = os.networkInterfaces()[value];
+    if (!addresses) {
+        throw new ValidationError(`Unknown interface: ${value} (use an interface name or IP address)`, 'interface');
+    }
+
+    const usable = addresses.filter(a => !a.address.toLowerCase().startsWith('fe80:'));
+    const match = [4, 6]
+        .filter(f => !family || f === family)
+        .map(f => usable.find(a => net.isIP(a.address) === f))
+        .find(Boolean);
+    if (!match) {
+        const kind = family ? `IPv${family} address` : 'usable address';
+        throw new ValidationError(`Interface ${value} has no ${kind}`, 'interface');
+    }
+
+    return match.address;
+}
+
+/**
+ * Get connect() target: a socket path, or host and port
+ * Without a fixed family, names resolving to IPv4 and IPv6 are tried
+ * alternately (happy eyeballs) instead of waiting for the first one to fail.
+ * A local address fixes the family to its own.
  * @param {object} options - Connection options
- * @param {string} options.host - Target host
- * @param {number} options.port - Target port
- * @param {number} options.timeout - Connection timeout in ms
- * @returns {Promise<net.Socket>} - Connected socket
+ * @returns {{ target: object, address: string }} - Options for socket.connect() and a label for messages
  */
-export function createConnection(options) {
-    const { host, port, timeout = 10000 } = options;
+function getConnectTarget(options) {
+    const { host, port, socketPath = '', localAddress = '', localPort = 0 } = options;
+    if (socketPath) {
+        return { target: { path: socketPath }, address: socketPath };
+    }
+    
+    const family = net.isIP(localAddress) || options.family || 0;
+    const target = family
+        ? { host, port, family }
+        : { host, port, autoSelectFamily: true, autoSelectFamilyAttemptTimeout: FAMILY_ATTEMPT_DELAY };
+    if (localAddress) {
+        target.localAddress = localAddress;
+    }
+    if (localPort) {
+        target.localPort = localPort;
+    }
+    return { target, address: `${formatHost(host)}:${port}` };
+}
+
+/**
+ * Connect with each local port of a range until one is free
+ * @param {object} options - Connection options (localPort is a range from parseLocalPort)
+ * @param {function(object): Promise<net.Socket>} connect - Connects with a single localPort
+ * @returns {Promise<net.Socket>}
+ * @throws {ConnectionError} With code EADDRINUSE if every port is taken
+ */
+async function bindLocalPort(options, connect) {
+    const { localPort = null } = options;
+    if (!localPort || options.socketPath) {
+        return connect({ ...options, localPort: 0 });
+    }
+
+    let lastError;
+    for (let port = localPort.from; port <= localPort.to; port++) {
+        try {
+            return await connect({ ...options, localPort: port });
+        } catch (err) {
+            if (err.code !== 'EADDRINUSE') {
+                throw err;
+            }
+            lastError = err;
+        }
+    }
+
+    const range = localPort.from === localPort.to ? localPort.from : `${localPort.from}-${localPort.to}`;
+    throw new ConnectionError(
+        `No free local port in ${range}: ${lastError.cause ? lastError.cause.message : lastError.message}`,
+        'EADDRINUSE',
+        lastError.cause
+    );
+}
+
+/**
+ * Connect a new socket
+ * @param {object} options - Connection options (localPort is a single port)
+ * @returns {Promise<net.Socket>}
+ */
+function connectSocket(options) {
+    const { timeout = 10000, timings = null } = options;
+    const { target, address } = getConnectTarget(options);
 
     return new Promise((resolve, reject) => {
         const socket = new net.Socket();
         socket.setTimeout(timeout);
+        socket.once('lookup', () => markTiming(timings, 'dnsLookup'));
 
-        socket.connect(port, host, () => {
+        socket.connect(target, () => {
+            markTiming(timings, 'tcpConnect');
             resolve(socket);
         });
 
         socket.on('error', (err) => {
             reject(new ConnectionError(
-                `Connection error at ${host}:${port}: ${err.message}`,
+                `Connection error at ${address}: ${err.message}`,
                 err.code,
                 err
             ));
@@ -38,72 +169,126 @@ export function createConnection(options) {
         socket.on('timeout', () => {
             socket.destroy();
             reject(new TimeoutError(
-                `Connection timeout at ${host}:${port}`,
+                `Connection timeout at ${address}`,
                 timeout
             ));
         });
     });
 }
 
+/**
+ * Create a TCP connection
+ * With socketPath, connects to a Unix domain socket (or Windows named pipe) instead.
+ * @param {object} options - Connection options
+ * @param {string} options.host - Target host
+ * @param {number} options.port - Target port
+ * @param {string} options.socketPath - Unix socket path (optional, replaces host/port)
+ * @param {number} options.family - Address family (4, 6, or 0 for both)
+ * @param {string} options.localAddress - Source address (optional, see resolveInterface)
+ * @param {object} options.localPort - Source port range (optional, see parseLocalPort)
+ * @param {number} options.timeout - Connection timeout in ms
+ * @param {Timings} options.timings - Timings to mark dnsLookup and tcpConnect in (optional)
+ * @returns {Promise<net.Socket>} - Connected socket
+ */
+export function createConnection(options) {
+    return bindLocalPort(options, connectSocket);
+}
+
 /**
  * Send data and wait for response (one-shot)
  * Ideal for HTTP request/response pattern
+ * 
+ * Without isComplete, the response ends when the connection closes.
+ * Data can be a function that writes it (e.g. to stream a large body).
+ * If the response is complete before it is done, the socket is destroyed,
+ * as the rest of the request would be taken for the next one.
  * @param {net.Socket} socket - Connected socket
- * @param {Buffer|string} data - Data to send
+ * @param {Buffer|string|function(net.Socket): Promise} data - Data to send, or a function writing it
  * @param {number} timeout - Response timeout in ms
+ * @param {function(Buffer): boolean} isComplete - Called with each chunk; true ends the response early
+ * @param {Timings} timings - Timings to mark requestSent and firstByte in (optional)
  * @returns {Promise<Buffer>} - Response data
  */
-export function sendAndReceive(socket, data, timeout = 10000) {
+export function sendAndReceive(socket, data, timeout = 10000, isComplete = null, timings = null) {
     return new Promise((resolve, reject) => {
-        let response = Buffer.alloc(0);
+        const chunks = [];
+        let sent = false;
         
         socket.setTimeout(timeout);
 
-        socket.write(data, (err) => {
-            if (err) {
-                reject(new ConnectionError('Error sending data', 'WRITE_ERROR', err));
-            }
-        });
+        const cleanup = () => {
+            socket.removeListener('data', onData);
+            socket.removeListener('close', onClose);
+            socket.removeListener('error', onError);
+            socket.removeListener('timeout', onTimeout);
+        };
 
-        socket.on('data', (chunk) => {
-            response = Buffer.concat([response, chunk]);
-        });
+        const onData = (chunk) => {
+            if (chunks.length === 0) {
+                markTiming(timings, 'firstByte');
+            }
+            chunks.push(chunk);
+            if (isComplete && isComplete(chunk)) {
+                cleanup();
+                if (!sent) {
+                    socket.destroy();
+                }
+                resolve(Buffer.concat(chunks));
+            }
+        };
 
-        socket.on('close', () => {
-            resolve(response);
-        });
+        const onClose = () => {
+            cleanup();
+            resolve(Buffer.concat(chunks));
+        };
 
-        socket.on('error', (err) => {
+        const onError = (err) => {
+            cleanup();
             reject(new ConnectionError(err.message, err.code, err));
-        });
+        };
 
-        socket.on('timeout', () => {
+        const onTimeout = () => {
+            cleanup();
             socket.destroy();
             reject(new TimeoutError('Response timeout', timeout));
+        };
+
+        const write = typeof data === 'function'
+            ? data(socket)
+            : new Promise((done, fail) => socket.write(data, (err) => err ? fail(err) : done()));
+        write.then(() => {
+            sent = true;
+            markTiming(timings, 'requestSent');
+        }, (err) => {
+            cleanup();
+            socket.destroy();
+            reject(err instanceof JsurlError ? err : new ConnectionError('Error sending data', 'WRITE_ERROR', err));
         });
+
+        socket.on('data', onData);
+        socket.on('close', onClose);
+        socket.on('error', onError);
+        socket.on('timeout', onTimeout);
+        
+        // A socket handed over paused (after a proxy handshake) starts flowing here
+        socket.resume();
     });
 }
 
 /**
- * Create persistent connection for bidirectional communication
- * Ideal for WebSocket
- * @param {object} options - Connection options
- * @param {string} options.host - Target host
- * @param {number} options.port - Target port
- * @param {number} options.timeout - Connection timeout in ms
- * @param {function} options.onData - Data handler
- * @param {function} options.onClose - Close handler
- * @param {function} options.onError - Error handler
- * @returns {Promise<net.Socket>} - Connected socket
+ * Connect a new socket and attach the persistent handlers
+ * @param {object} options - Connection options (localPort is a single port)
+ * @returns {Promise<net.Socket>}
  */
-export function createPersistentConnection(options) {
-    const { host, port, timeout = 10000, onData, onClose, onError } = options;
+function connectPersistent(options) {
+    const { timeout = 10000, onData, onClose, onError } = options;
+    const { target, address } = getConnectTarget(options);
 
     return new Promise((resolve, reject) => {
         const socket = new net.Socket();
         socket.setTimeout(timeout);
 
-        socket.connect(port, host, () => {
+        socket.connect(target, () => {
             // Remove timeout after connection (WebSocket stays open)
             socket.setTimeout(0);
             
@@ -117,7 +302,7 @@ export function createPersistentConnection(options) {
 
         socket.on('error', (err) => {
             reject(new ConnectionError(
-                `Connection error at ${host}:${port}`,
+                `Connection error at ${address}`,
                 err.code,
                 err
             ));
@@ -129,3 +314,23 @@ export function createPersistentConnection(options) {
         });
     });
 }
+
+/**
+ * Create persistent connection for bidirectional communication
+ * Ideal for WebSocket
+ * @param {object} options - Connection options
+ * @param {string} options.host - Target host
+ * @param {number} options.port - Target port
+ * @param {string} options.socketPath - Unix socket path (optional, replaces host/port)
+ * @param {number} options.family - Address family (4, 6, or 0 for both)
+ * @param {string} options.localAddress - Source address (optional, see resolveInterface)
+ * @param {object} options.localPort - Source port range (optional, see parseLocalPort)
+ * @param {number} options.timeout - Connection timeout in ms
+ * @param {function} options.onData - Data handler
+ * @param {function} options.onClose - Close handler
+ * @param {function} options.onError - Error handler
+ * @returns {Promise<net.Socket>} - Connected socket
+ */
+export function createPersistentConnection(options) {
+    return bindLocalPort(options, connectPersistent);
+}
@@ -0,0 +1,414 @@
+/**
+ * TLS Transport Layer
+ *
+ * Secure transport for HTTPS and WSS connections.
+ * Wraps TCP sockets from the TCP transport with Node.js `tls`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import tls from 'tls';
+import { createConnection } from './tcp.js';
+import { TlsError, PinnedKeyError, TimeoutError, ValidationError } from '../utils/errors.js';
+import { markTiming } from '../utils/timing.js';
+
+/**
+ * Client certificate formats (--cert-type)
+ */
+export const CERT_TYPES = ['pem', 'p12'];
+
+/**
+ * TLS versions for --tls-min/--tls-max, oldest first
+ */
+export const TLS_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+
+/**
+ * Application protocols offered with ALPN (jsurl speaks HTTP/1.1 only)
+ */
+const ALPN_PROTOCOLS = ['http/1.1'];
+
+/**
+ * Stapled OCSP responses by socket (kept for getTlsInfo)
+ */
+const ocspResponses = new WeakMap();
+
+/**
+ * Parse a TLS version
+ * Accepts "1.2", "tls1.2" or "TLSv1.2".
+ * @param {string} value - Version
+ * @param {string} field - Option name (for the error)
+ * @returns {string} - Version as Node.js names it (e.g. "TLSv1.2")
+ * @throws {ValidationError} If the version is unknown
+ */
+export function parseTlsVersion(value, field) {
+    const match = String(value).trim().match(/^(?:tls\s*v?)?1(?:\.([0-3]))?$/i);
+    if (!match) {
+        throw new ValidationError(`Invalid TLS version: ${value} (use 1.0, 1.1, 1.2 or 1.3)`, field);
+    }
+    return TLS_VERSIONS[Number(match[1] || 0)];
+}
+
+/**
+ * Read a file for the TLS options
+ * @param {string} file - File path
+ * @param {string} label - What the file is (for the error message)
+ * @param {string} field - Option name (for the error)
+ * @returns {Buffer}
+ * @throws {ValidationError} If the file cannot be read
+ */
+function readTlsFile(file, label, field) {
+    try {
+        return fs.readFileSync(file);
+    } catch (err) {
+        throw new ValidationError(`Error reading ${label}: ${file} - ${err.message}`, field);
+    }
+}
+
+/**
+ * Load client certificate options (mutual TLS)
+ * A PEM certificate file may also hold the private key, as with curl.
+ * @param {object} options - TLS options
+ * @param {string} options.cert - Path to client certificate (PEM) or PKCS#12 bundle
+ * @param {string} options.key - Path to private key (PEM, optional)
+ * @param {string} options.pass - Passphrase for the key or PKCS#12 bundle
+ * @param {string} options.certType - Certificate format (pem or p12)
+ * @returns {object} - cert/key or pfx options for tls.connect()
+ * @throws {ValidationError} If the files cannot be read or do not make a usable certificate
+ */
+function loadClientCertificate(options) {
+    const { cert = '', key = '', pass = '' } = options;
+    const certType = (options.certType || 'pem').toLowerCase();
+
+    if (!cert) {
+        throw new ValidationError('--key needs a client certificate (--cert)', 'key');
+    }
+    if (!CERT_TYPES.includes(certType)) {
+        throw new ValidationError(`Invalid --cert-type: ${options.certType} (use ${CERT_TYPES.join(' or ')})`, 'certType');
+    }
+
+    const certOptions = pass ? { passphrase: pass } : {};
+    if (certType === 'p12') {
+        certOptions.pfx = readTlsFile(cert, 'client certificate', 'cert');
+    } else {
+        certOptions.cert = readTlsFile(cert, 'client certificate', 'cert');
+        certOptions.key = key ? readTlsFile(key, 'client key', 'key') : certOptions.cert;
+        if (!key && !certOptions.cert.includes('PRIVATE KEY-----')) {
+            throw new ValidationError(`No private key for client certificate ${cert} (use --key)`, 'key');
+        }
+    }
+
+    // Fail here on a wrong passphrase or a key that does not match, not in the handshake
+    try {
+        tls.createSecureContext(certOptions);
+    } catch (err) {
+        const hint = /bad decrypt|mac verify|bad password/i.test(err.message) ? ' (wrong or missing --pass?)' : '';
+        throw new ValidationError(`Cannot use client certificate ${cert}: ${err.message}${hint}`, 'cert');
+    }
+
+    return certOptions;
+}
+
+/**
+ * Get protocol version, cipher and curve options
+ * @param {object} options - TLS options (see buildTlsOptions)
+ * @returns {object} - minVersion/maxVersion/ciphers/ecdhCurve options for tls.connect()
+ * @throws {ValidationError} If a version is unknown, the range is empty or OpenSSL rejects a list
+ */
+function getProtocolOptions(options) {
+    const { minVersion = '', maxVersion = '', ciphers = '', curves = '' } = options;
+    const protocolOptions = {};
+
+    if (minVersion) {
+        protocolOptions.minVersion = parseTlsVersion(minVersion, 'tlsMin');
+    }
+    if (maxVersion) {
+        protocolOptions.maxVersion = parseTlsVersion(maxVersion, 'tlsMax');
+    }
+    if (minVersion && maxVersion &&
+        TLS_VERSIONS.indexOf(protocolOptions.minVersion) > TLS_VERSIONS.indexOf(protocolOptions.maxVersion)) {
+        throw new ValidationError(`--tls-min ${minVersion} is newer than --tls-max ${maxVersion}`, 'tlsMin');
+    }
+
+    // --tls-max below Node's default minimum (TLS 1.2) lowers the minimum with it
+    if (maxVersion && !minVersion &&
+        TLS_VERSIONS.indexOf(protocolOptions.maxVersion) < TLS_VERSIONS.indexOf(tls.DEFAULT_MIN_VERSION)) {
+        protocolOptions.minVersion = protocolOptions.maxVersion;
+    }
+
+    if (ciphers) {
+        protocolOptions.ciphers = ciphers;
+    }
+    if (curves) {
+        protocolOptions.ecdhCurve = curves;
+    }
+
+    // Let OpenSSL check the lists now rather than fail in the handshake
+    if (ciphers || curves) {
+        try {
+            tls.createSecureContext(protocolOptions);
+        } catch (err) {
+            const field = /curve/i.test(err.message) ? 'curves' : 'ciphers';
+            throw new ValidationError(`Invalid --${field}: ${err.message}`, field);
+        }
+    }
+
+    return protocolOptions;
+}
+
+/**
+ * Get the pin of a public key, as --pinnedpubkey takes it
+ * @param {Buffer} spki - Public key (DER SubjectPublicKeyInfo)
+ * @returns {string} - "sha256//" followed by the base64 SHA-256 hash
+ */
+export function getPublicKeyPin(spki) {
+    return `sha256//${crypto.createHash('sha256').update(spki).digest('base64')}`;
+}
+
+/**
+ * Load pins for --pinnedpubkey
+ * Takes "sha256//<base64>" hashes separated by ";", or a file with the
+ * public key or certificate to pin (PEM or DER), as with curl.
+ * @param {string} value - Hashes or path
+ * @returns {string[]} - Pins ("sha256//<base64>")
+ * @throws {ValidationError} If a hash is malformed or the file holds no public key
+ */
+export function loadPinnedPubKeys(value) {
+    if (value.startsWith('sha256//')) {
+        const pins = value.split(';').map(pin => pin.trim()).filter(Boolean);
+        for (const pin of pins) {
+            if (!/^sha256\/\/[A-Za-z0-9+/]{43}=$/.test(pin)) {
+                throw new ValidationError(`Invalid pinned public key hash: ${pin} (expected sha256//<base64>)`, 'pinnedPubKey');
+            }
+        }
+        return pins;
+    }
+
+    const data = readTlsFile(value, 'pinned public key', 'pinnedPubKey');
+    const attempts = [
+        () => crypto.createPublicKey(data),
+        () => crypto.createPublicKey({ key: data, format: 'der', type: 'spki' }),
+        () => new crypto.X509Certificate(data).publicKey,
+    ];
+    for (const attempt of attempts) {
+        try {
+            return [getPublicKeyPin(attempt().export({ type: 'spki', format: 'der' }))];
+        } catch (err) {
+            // Not this format, try the next one
+        }
+    }
+    throw new ValidationError(`No public key or certificate in pinned public key file: ${value}`, 'pinnedPubKey');
+}
+
+/**
+ * Build options for tls.connect()
+ * @param {object} options - TLS options
+ * @param {string} options.host - Target host (used for SNI and verification)
+ * @param {boolean} options.insecure - Skip certificate verification
+ * @param {string} options.cacert - Path to CA bundle (PEM)
+ * @param {string} options.cert - Path to client certificate (PEM) or PKCS#12 bundle (optional)
+ * @param {string} options.key - Path to client private key (PEM, optional)
+ * @param {string} options.pass - Passphrase for the key or PKCS#12 bundle (optional)
+ * @param {string} options.certType - Client certificate format: pem (default) or p12
+ * @param {string} options.minVersion - Oldest TLS version to offer (e.g. "1.2", optional)
+ * @param {string} options.maxVersion - Newest TLS version to offer (optional)
+ * @param {string} options.ciphers - OpenSSL cipher list (optional)
+ * @param {string} options.curves - Key exchange groups, colon-separated (e.g. "X25519:P-256", optional)
+ * @param {boolean} options.ocsp - Ask the server for a stapled OCSP response
+ * @returns {object} - Options for tls.connect()
+ * @throws {ValidationError} If the CA bundle, client certificate or protocol settings cannot be used
+ */
+export function buildTlsOptions(options) {
+    const { host, insecure = false, cacert = '', cert = '', key = '', ocsp = false } = options;
+
+    const tlsOptions = {
+        rejectUnauthorized: !insecure,
+        ALPNProtocols: ALPN_PROTOCOLS,
+        ...getProtocolOptions(options),
+    };
+    if (ocsp) {
+        tlsOptions.requestOCSP = true;
+    }
+
+    // SNI does not allow IP addresses (RFC 6066)
+    if (host && !net.isIP(host)) {
+        tlsOptions.servername = host;
+    }
+
+    if (cacert) {
+        tlsOptions.ca = readTlsFile(cacert, 'CA bundle', 'cacert');
+    }
+
+    if (cert || key) {
+        Object.assign(tlsOptions, loadClientCertificate(options));
+    }
+
+    return tlsOptions;
+}
+
+/**
+ * Upgrade a connected socket to TLS
+ * Works on direct connections and on proxy tunnels alike.
+ * @param {net.Socket} socket - Connected socket
+ * @param {object} options - TLS options (see buildTlsOptions)
+ * @param {number} options.timeout - Handshake timeout in ms
+ * @param {Timings} options.timings - Timings to mark tlsHandshake in (optional)
+ * @param {string} options.pinnedPubKey - Pins or key file the server key must match (see loadPinnedPubKeys)
+ * @returns {Promise<tls.TLSSocket>} - Socket after a successful handshake
+ * @throws {PinnedKeyError} If the server key is not pinned (checked even with insecure), with the
+ *   TLS details of the connection
+ */
+export function upgradeToTls(socket, options) {
+    const { host, timeout = 10000, timings = null, pinnedPubKey = '' } = options;
+    const tlsOptions = buildTlsOptions(options);
+    const pins = pinnedPubKey ? loadPinnedPubKeys(pinnedPubKey) : null;
+
+    return new Promise((resolve, reject) => {
+        const tlsSocket = tls.connect({ ...tlsOptions, socket });
+        tlsSocket.setTimeout(timeout);
+        tlsSocket.once('OCSPResponse', (response) => ocspResponses.set(tlsSocket, response));
+
+        const onError = (err) => {
+            cleanup();
+            socket.destroy();
+            reject(new TlsError(
+                `TLS handshake with ${host} failed: ${err.message}`,
+                err.code,
+                err
+            ));
+        };
+
+        const onTimeout = () => {
+            cleanup();
+            tlsSocket.destroy();
+            reject(new TimeoutError(`TLS handshake timeout with ${host}`, timeout));
+        };
+
+        const cleanup = () => {
+            tlsSocket.removeListener('error', onError);
+            tlsSocket.removeListener('timeout', onTimeout);
+        };
+
+        tlsSocket.once('secureConnect', () => {
+            markTiming(timings, 'tlsHandshake');
+            cleanup();
+
+            // Only the server certificate is pinned, as with curl
+            if (pins) {
+                const { pubkey } = tlsSocket.getPeerCertificate();
+                const pin = pubkey ? getPublicKeyPin(pubkey) : '';
+                if (!pins.includes(pin)) {
+                    // Read the details first, the certificate is gone once the socket is
+                    const tlsInfo = getTlsInfo(tlsSocket);
+                    tlsSocket.destroy();
+                    reject(new PinnedKeyError(
+                        `Public key of ${host} does not match --pinnedpubkey\n` +
+                        `   Server key: ${pin || '(none)'}`,
+                        pin,
+                        tlsSocket.servername || host,
+                        tlsInfo
+                    ));
+                    return;
+                }
+            }
+
+            resolve(tlsSocket);
+        });
+
+        tlsSocket.on('error', onError);
+        tlsSocket.on('timeout', onTimeout);
+    });
+}
+
+/**
+ * Format a certificate name (subject or issuer) as "CN=..., O=..."
+ * @param {object} name - Name object from getPeerCertificate()
+ * @returns {string}
+ */
+function formatName(name = {}) {
+    return Object.entries(name)
+        .map(([field, value]) => `${field}=${[].concat(value).join('+')}`)
+        .join(', ');
+}
+
+/**
+ * Describe the public key of a certificate
+ * @param {object} cert - Certificate from getPeerCertificate()
+ * @returns {string} - e.g. "RSA 2048 bits" or "EC prime256v1 (256 bits)"
+ */
+function describeKey(cert) {
+    if (cert.asn1Curve || cert.nistCurve) {
+        return `EC ${cert.nistCurve || cert.asn1Curve} (${cert.bits} bits)`;
+    }
+    if (cert.modulus) {
+        return `RSA ${cert.bits} bits`;
+    }
+    return cert.bits ? `${cert.bits} bits` : 'unknown';
+}
+
+/**
+ * Get the negotiated parameters and peer certificate chain of a TLS socket
+ * @param {tls.TLSSocket} tlsSocket - Socket after the handshake
+ * @returns {object} - { protocol, cipher, alpn, keyExchange, ocsp, authorized,
+ *   authorizationError, chain: [{ subject, altNames, issuer, validFrom, validTo,
+ *   daysLeft, serialNumber, key, sha256, sha1, pin }] } (chain starts with the server certificate)
+ */
+export function getTlsInfo(tlsSocket) {
+    const cipher = tlsSocket.getCipher() || {};
+    const ephemeral = tlsSocket.getEphemeralKeyInfo() || {};
+    const ocsp = ocspResponses.get(tlsSocket);
+
+    // Walk the issuer links until the root (which points to itself)
+    const chain = [];
+    let cert = tlsSocket.getPeerCertificate(true);
+    while (cert && cert.raw && !chain.some(c => c.sha256 === cert.fingerprint256)) {
+        chain.push({
+            subject: formatName(cert.subject),
+            altNames: cert.subjectaltname || '',
+            issuer: formatName(cert.issuer),
+            validFrom: cert.valid_from,
+            validTo: cert.valid_to,
+            daysLeft: Math.floor((new Date(cert.valid_to).getTime() - Date.now()) / 86400000),
+            serialNumber: cert.serialNumber,
+            key: describeKey(cert),
+            sha256: cert.fingerprint256,
+            sha1: cert.fingerprint,
+            pin: cert.pubkey ? getPublicKeyPin(cert.pubkey) : '',
+        });
+        cert = cert.issuerCertificate;
+    }
+
+    return {
+        protocol: tlsSocket.getProtocol() || '',
+        cipher: cipher.standardName || cipher.name || '',
+        alpn: tlsSocket.alpnProtocol || '',
+        keyExchange: ephemeral.name ? `${ephemeral.type} ${ephemeral.name} (${ephemeral.size} bits)` : '',
+        ocsp: ocsp ? ocsp.length : null,
+        authorized: tlsSocket.authorized,
+        authorizationError: tlsSocket.authorizationError ? String(tlsSocket.authorizationError) : '',
+        chain,
+    };
+}
+
+/**
+ * Create a TLS connection
+ * @param {object} options - Connection options
+ * @param {string} options.host - Target host
+ * @param {number} options.port - Target port
+ * @param {number} options.timeout - Connection timeout in ms
+ * @param {boolean} options.insecure - Skip certificate verification
+ * @param {string} options.cacert - Path to CA bundle (PEM)
+ * @param {string} options.cert - Path to client certificate (optional, see buildTlsOptions)
+ * @returns {Promise<tls.TLSSocket>} - Connected socket
+ */
+export async function createTlsConnection(options) {
+    const socket = await createConnection(options);
+
+    try {
+        return await upgradeToTls(socket, options);
+    } catch (err) {
+        socket.destroy();
+        throw err;
+    }
+}
+
@@ -5,6 +5,8 @@
  *   JsurlError (base)
  *   ├── ValidationError  - Invalid input parameters
  *   ├── ConnectionError  - Network/socket errors
+ *   │   └── TlsError     - TLS handshake/certificate errors
+ *   │       └── PinnedKeyError - Public key does not match --pinnedpubkey
  *   ├── HttpError        - HTTP protocol errors
  *   └── TimeoutError     - Connection/response timeouts
  */
@@ -19,6 +21,7 @@ export const EXIT_CODES = {
     HTTP_ERROR: 3,
     TIMEOUT_ERROR: 4,
     WEBSOCKET_ERROR: 5,
+    PINNED_KEY_ERROR: 6,
     UNKNOWN_ERROR: 99,
 };
 
@@ -55,6 +58,30 @@ export class ConnectionError extends JsurlError {
     }
 }
 
+/**
+ * TLS error - handshake and certificate errors with the target
+ */
+export class TlsError extends ConnectionError {
+    constructor(message, code = 'TLS_ERROR', cause = null) {
+        super(message, code, cause);
+        this.name = 'TlsError';
+    }
+}
+
+/**
+ * Pinned key error - the target's public key is not one of the pinned ones
+ * Carries the TLS details of the rejected connection (see getTlsInfo).
+ */
+export class PinnedKeyError extends TlsError {
+    constructor(message, pin = '', host = '', tlsInfo = null) {
+        super(message, 'PINNED_KEY_MISMATCH');
+        this.name = 'PinnedKeyError';
+        this.pin = pin;
+        this.host = host;
+        this.tlsInfo = tlsInfo;
+    }
+}
+
 /**
  * HTTP error - protocol errors (4xx, 5xx)
  */
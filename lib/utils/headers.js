@@ -0,0 +1,87 @@
+/**
+ * Custom Headers (-H)
+ *
+ * Merges -H values with the headers jsurl adds itself, following curl:
+ *   "Name: value"  - Sent as given, and replaces the default header of that name
+ *   "Name:"        - Removes the default header (nothing is sent)
+ *   "Name;"        - Sent with an empty value ("Name:")
+ * -H headers keep their order, casing and duplicates. A value whose name is
+ * not a plain token (a space before the colon, a leading space for folding,
+ * no colon at all) is sent exactly as typed and replaces nothing.
+ */
+
+/**
+ * Header name characters (RFC 9110, section 5.6.2)
+ */
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Parse a -H value
+ * @param {string} header - Header as given on the command line
+ * @returns {{ name: string, value: string|null, line: string|null }} - Lowercase name ('' if it
+ *   replaces nothing), value (null for a removal) and line to send (null for a removal)
+ */
+export function parseHeaderArg(header) {
+    const empty = header.match(/^([^:;\s]+);$/);
+    if (empty && TOKEN.test(empty[1])) {
+        return { name: empty[1].toLowerCase(), value: '', line: `${empty[1]}:` };
+    }
+
+    const colon = header.indexOf(':');
+    const name = colon === -1 ? '' : header.slice(0, colon);
+    if (!TOKEN.test(name)) {
+        return { name: '', value: null, line: header };
+    }
+
+    const value = header.slice(colon + 1);
+    return value.trim() === ''
+        ? { name: name.toLowerCase(), value: null, line: null }
+        : { name: name.toLowerCase(), value: value.trim(), line: header };
+}
+
+/**
+ * Check if -H sets, empties or removes a header
+ * @param {string[]} headers - -H values
+ * @param {string} name - Header name (any case)
+ * @returns {boolean}
+ */
+export function isHeaderSet(headers, name) {
+    const lowerName = name.toLowerCase();
+    return (headers || []).some(header => parseHeaderArg(header).name === lowerName);
+}
+
+/**
+ * Get the value -H gives a header (the last one wins)
+ * @param {string[]} headers - -H values
+ * @param {string} name - Header name (any case)
+ * @returns {string|null} - Value, or null if not set (or removed)
+ */
+export function getHeaderValue(headers, name) {
+    const lowerName = name.toLowerCase();
+    const values = (headers || [])
+        .map(parseHeaderArg)
+        .filter(header => header.name === lowerName)
+        .map(header => header.value);
+    return values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * Merge default headers with -H headers
+ * Defaults keep their place unless -H names them; -H headers follow in the
+ * order given, removals left out.
+ * @param {string[]} headers - -H values
+ * @param {Array<[string, string]>} defaults - [name, value] sent before the -H headers
+ * @param {Array<[string, string]>} trailing - [name, value] sent after them (body headers)
+ * @returns {string[]} - Header lines, without line endings
+ */
+export function mergeHeaders(headers, defaults = [], trailing = []) {
+    const format = (list) => list
+        .filter(([name]) => !isHeaderSet(headers, name))
+        .map(([name, value]) => `${name}: ${value}`);
+
+    return [
+        ...format(defaults),
+        ...headers.map(header => parseHeaderArg(header).line).filter(line => line !== null),
+        ...format(trailing),
+    ];
+}
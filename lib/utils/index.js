@@ -7,4 +7,7 @@
 export * from './colors.js';
 export * from './errors.js';
 export * from './validators.js';
+export * from './timing.js';
+export * from './json.js';
+export * from './headers.js';
 export { default as logger } from './logger.js';
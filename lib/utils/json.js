@@ -0,0 +1,133 @@
+/**
+ * JSON Helpers
+ *
+ * Checks JSON request bodies (--json) with line/column positions, and
+ * pretty-prints JSON responses without re-serializing them, so numbers
+ * beyond double precision and key order stay exactly as received.
+ */
+
+/**
+ * Check if text is an incomplete (rather than broken) JSON document
+ * @param {string} text - JSON text
+ * @returns {boolean} - True if valid, or only missing its end
+ */
+function isJsonPrefix(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch (err) {
+        // An error at the very end only means more input is needed
+        const match = err.message.match(/at position (\d+)/);
+        return match
+            ? Number(match[1]) >= text.length
+            : /^Unexpected end/.test(err.message);
+    }
+}
+
+/**
+ * Find where JSON text goes wrong: the end of its longest incomplete prefix
+ * Used when the parser message has no position.
+ * @param {string} text - Invalid JSON text
+ * @returns {number} - Index of the offending character (text length if the input ended early)
+ */
+function findErrorPosition(text) {
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (isJsonPrefix(text.slice(0, middle))) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Check if text is valid JSON
+ * @param {string} text - JSON text
+ * @returns {{ message: string, line: number, column: number, source: string } | null}
+ *   Null if valid, otherwise the parser message, 1-based position and the offending line
+ */
+export function findJsonError(text) {
+    try {
+        JSON.parse(text);
+        return null;
+    } catch (err) {
+        // V8 reports "... at position N" for most errors, not for unexpected tokens
+        const match = err.message.match(/ (?:in JSON )?at position (\d+)/);
+        const position = match ? Number(match[1]) : findErrorPosition(text);
+        const before = text.slice(0, position);
+        const lineStart = before.lastIndexOf('\n') + 1;
+        const lineEnd = text.indexOf('\n', position);
+
+        return {
+            message: err.message.replace(/ (?:in JSON )?at position \d+.*$|, .*is not valid JSON$/s, ''),
+            line: before.split('\n').length,
+            column: position - lineStart + 1,
+            source: text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd).replace(/\r$/, ''),
+        };
+    }
+}
+
+/**
+ * Index of the next character that is not JSON whitespace
+ * @param {string} text - JSON text
+ * @param {number} index - Index to start at
+ * @returns {number}
+ */
+function skipWhitespace(text, index) {
+    while (index < text.length && ' \t\r\n'.includes(text[index])) {
+        index++;
+    }
+    return index;
+}
+
+/**
+ * Pretty-print JSON text
+ * Works on the text itself: values are copied as written.
+ * @param {string} text - Valid JSON text (see findJsonError)
+ * @param {number} indent - Spaces per level
+ * @returns {string}
+ */
+export function formatJson(text, indent = 2) {
+    let output = '';
+    let depth = 0;
+    const newline = () => `\n${' '.repeat(depth * indent)}`;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '"') {
+            // Copy the string, escapes included
+            let end = i + 1;
+            while (end < text.length && text[end] !== '"') {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            output += text.slice(i, end + 1);
+            i = end;
+        } else if (char === '{' || char === '[') {
+            // Empty object or array stays on one line
+            const next = skipWhitespace(text, i + 1);
+            if (text[next] === (char === '{' ? '}' : ']')) {
+                output += char + text[next];
+                i = next;
+            } else {
+                depth++;
+                output += char + newline();
+            }
+        } else if (char === '}' || char === ']') {
+            depth--;
+            output += newline() + char;
+        } else if (char === ',') {
+            output += char + newline();
+        } else if (char === ':') {
+            output += ': ';
+        } else if (!' \t\r\n'.includes(char)) {
+            output += char;
+        }
+    }
+
+    return output;
+}
@@ -0,0 +1,98 @@
+/**
+ * Request Timing
+ *
+ * Records when each phase of a request is reached. The transport marks
+ * DNS lookup, TCP connect and TLS handshake; the client marks request sent,
+ * first byte and completion. Phases that do not happen (a literal IP, plain
+ * HTTP, a reused connection) stay null.
+ */
+
+import { performance } from 'perf_hooks';
+
+/**
+ * Phases in the order they happen
+ */
+export const TIMING_PHASES = ['dnsLookup', 'tcpConnect', 'tlsHandshake', 'requestSent', 'firstByte', 'end'];
+
+/**
+ * @typedef {object} Timings
+ * @property {number} startTime - performance.now() when the request started
+ * @property {number|null} dnsLookup - Name resolved (ms since start)
+ * @property {number|null} tcpConnect - TCP connection established (ms since start)
+ * @property {number|null} tlsHandshake - TLS handshake completed (ms since start)
+ * @property {number|null} requestSent - Request written to the socket (ms since start)
+ * @property {number|null} firstByte - First response byte received (ms since start)
+ * @property {number|null} end - Response complete (ms since start)
+ * @property {string} remoteAddress - Address the socket is connected to (proxy or target)
+ * @property {number} remotePort - Port the socket is connected to
+ * @property {string} localAddress - Source address of the socket
+ * @property {number} localPort - Source port of the socket
+ * @property {boolean} reused - The request went over a pooled connection
+ */
+
+/**
+ * Create timings for a request
+ * @returns {Timings}
+ */
+export function createTimings() {
+    return {
+        startTime: performance.now(),
+        dnsLookup: null,
+        tcpConnect: null,
+        tlsHandshake: null,
+        requestSent: null,
+        firstByte: null,
+        end: null,
+        remoteAddress: '',
+        remotePort: 0,
+        localAddress: '',
+        localPort: 0,
+        reused: false,
+    };
+}
+
+/**
+ * Mark a phase as reached now
+ * A phase reached again (e.g. a retried request) keeps the latest time.
+ * @param {Timings} timings - Timings to update (ignored if null)
+ * @param {string} phase - One of TIMING_PHASES
+ */
+export function markTiming(timings, phase) {
+    if (timings) {
+        timings[phase] = performance.now() - timings.startTime;
+    }
+}
+
+/**
+ * Record the endpoints of the socket a request went over
+ * @param {Timings} timings - Timings to update (ignored if null)
+ * @param {net.Socket|tls.TLSSocket} socket - Connected socket
+ * @param {boolean} reused - The socket came from the pool
+ */
+export function recordConnection(timings, socket, reused = false) {
+    if (!timings) {
+        return;
+    }
+    timings.remoteAddress = socket.remoteAddress || '';
+    timings.remotePort = socket.remotePort || 0;
+    timings.localAddress = socket.localAddress || '';
+    timings.localPort = socket.localPort || 0;
+    timings.reused = reused;
+}
+
+/**
+ * Get cumulative phase times in ms since start
+ * A phase that did not happen takes the time of the one before it, so
+ * the values never go backwards (as with curl's time_* variables).
+ * @param {Timings} timings - Recorded timings
+ * @returns {{ dnsLookup: number, tcpConnect: number, tlsHandshake: number, requestSent: number, firstByte: number, end: number }}
+ */
+export function getTimingPhases(timings) {
+    const phases = {};
+    let last = 0;
+    for (const phase of TIMING_PHASES) {
+        last = timings && timings[phase] !== null ? Math.max(timings[phase], last) : last;
+        phases[phase] = last;
+    }
+    return phases;
+}
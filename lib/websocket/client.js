@@ -7,7 +7,7 @@
  */
 
 import { EventEmitter } from 'events';
-import { createPersistentConnection } from '../transport/tcp.js';
+import { openConnection } from '../transport/connection.js';
 import {
     OPCODES,
     generateWebSocketKey,
@@ -18,6 +18,7 @@ import {
     parseFrame,
 } from './frame.js';
 import { ConnectionError } from '../utils/errors.js';
+import { getHeaderValue } from '../utils/headers.js';
 
 /**
  * WebSocket Client
@@ -42,6 +43,14 @@ export class WebSocketClient extends EventEmitter {
      * @param {string[]} options.protocols - Subprotocols
      * @param {number} options.timeout - Connection timeout
      * @param {object} options.proxy - Proxy configuration
+     * @param {string} options.socketPath - Unix socket path (instead of host:port)
+     * @param {object[]} options.resolve - Parsed --resolve entries
+     * @param {object[]} options.connectTo - Parsed --connect-to entries
+     * @param {number} options.family - Address family (4, 6, or 0 for both)
+     * @param {string} options.localAddress - Source address (see resolveInterface)
+     * @param {object} options.localPort - Source port range (see parseLocalPort)
+     * @param {boolean} options.secure - Use TLS (wss://)
+     * @param {object} options.tls - TLS options (insecure, cacert, cert, key, pass, certType)
      */
     constructor(options = {}) {
         super();
@@ -53,8 +62,22 @@ export class WebSocketClient extends EventEmitter {
         this.protocols = options.protocols || [];
         this.timeout = options.timeout || 10000;
         
-        // Proxy (optional)
+        // Proxy or Unix socket (optional)
         this.proxy = options.proxy || null;
+        this.socketPath = options.socketPath || '';
+        
+        // Target overrides (optional)
+        this.resolve = options.resolve || [];
+        this.connectTo = options.connectTo || [];
+        this.family = options.family || 0;
+        
+        // Source address and port (optional)
+        this.localAddress = options.localAddress || '';
+        this.localPort = options.localPort || null;
+        
+        // TLS (wss://)
+        this.secure = options.secure || false;
+        this.tls = options.tls || {};
         
         this.socket = null;
         this.connected = false;
@@ -66,22 +89,28 @@ export class WebSocketClient extends EventEmitter {
      * @returns {Promise<WebSocketClient>}
      */
     async connect() {
-        const connectHost = this.proxy ? this.proxy.host : this.host;
-        const connectPort = this.proxy ? this.proxy.port : this.port;
-
-        // Create TCP connection (without data handler - we add it after handshake)
-        this.socket = await createPersistentConnection({
-            host: connectHost,
-            port: connectPort,
+        // Open connection (always tunnelled through HTTP proxies, TLS for wss://)
+        this.socket = await openConnection({
+            host: this.host,
+            port: this.port,
+            socketPath: this.socketPath,
+            resolve: this.resolve,
+            connectTo: this.connectTo,
+            family: this.family,
+            localAddress: this.localAddress,
+            localPort: this.localPort,
+            proxy: this.proxy,
+            tunnel: true,
+            secure: this.secure,
+            tls: this.tls,
             timeout: this.timeout,
-            onClose: () => this._onClose(),
-            onError: (err) => this._onError(err),
         });
 
-        // If using proxy, establish CONNECT tunnel first
-        if (this.proxy) {
-            await this._establishProxyTunnel();
-        }
+        // Remove timeout after connection (WebSocket stays open)
+        this.socket.setTimeout(0);
+
+        this.socket.on('close', () => this._onClose());
+        this.socket.on('error', (err) => this._onError(err));
 
         // Perform WebSocket handshake
         await this._performHandshake();
@@ -100,65 +129,6 @@ export class WebSocketClient extends EventEmitter {
         return this;
     }
 
-    /**
-     * Establish HTTP CONNECT tunnel through proxy
-     * @private
-     * @returns {Promise<void>}
-     */
-    async _establishProxyTunnel() {
-        return new Promise((resolve, reject) => {
-            const connectRequest = 
-                `CONNECT ${this.host}:${this.port} HTTP/1.1\r\n` +
-                `Host: ${this.host}:${this.port}\r\n` +
-                `Proxy-Connection: keep-alive\r\n` +
-                `\r\n`;
-            
-            let response = Buffer.alloc(0);
-            let tunnelEstablished = false;
-            
-            // Timeout for proxy tunnel
-            const timeoutId = setTimeout(() => {
-                if (!tunnelEstablished) {
-                    this.socket.removeListener('data', onData);
-                    reject(new ConnectionError(
-                        'Proxy tunnel timeout',
-                        'PROXY_TUNNEL_TIMEOUT'
-                    ));
-                }
-            }, this.timeout);
-            
-            const onData = (data) => {
-                response = Buffer.concat([response, data]);
-                
-                // Look for end of HTTP response
-                const headerEnd = response.indexOf('\r\n\r\n');
-                if (headerEnd !== -1 && !tunnelEstablished) {
-                    tunnelEstablished = true;
-                    clearTimeout(timeoutId);
-                    
-                    const statusLine = response.toString().split('\r\n')[0];
-                    
-                    // Check for 200 Connection established
-                    if (!statusLine.includes('200')) {
-                        this.socket.removeListener('data', onData);
-                        reject(new ConnectionError(
-                            `Proxy tunnel failed: ${statusLine}`,
-                            'PROXY_TUNNEL_ERROR'
-                        ));
-                        return;
-                    }
-                    
-                    // Remove listener and resolve
-                    this.socket.removeListener('data', onData);
-                    resolve();
-                }
-            };
-            
-            this.socket.on('data', onData);
-            this.socket.write(connectRequest);
-        });
-    }
-
     /**
      * Perform WebSocket handshake
      * @private
@@ -166,11 +136,14 @@ export class WebSocketClient extends EventEmitter {
      */
     async _performHandshake() {
         return new Promise((resolve, reject) => {
-            const key = generateWebSocketKey();
+            // A key from -H is checked against the response too
+            const key = getHeaderValue(this.headers, 'Sec-WebSocket-Key') || generateWebSocketKey();
             const expectedAccept = calculateAcceptKey(key);
             
             const handshake = buildHandshake({
                 host: this.host,
+                port: this.port,
+                secure: this.secure,
                 path: this.path,
                 key,
                 protocols: this.protocols,
@@ -222,6 +195,7 @@ export class WebSocketClient extends EventEmitter {
             };
             
             this.socket.on('data', onData);
+            this.socket.resume();
             this.socket.write(handshake);
         });
     }
@@ -379,11 +353,13 @@ export class WebSocketClient extends EventEmitter {
 export async function connect(url, options = {}) {
     // Parse URL
     let host, port, path;
+    let secure = options.secure || false;
     
     if (url.startsWith('ws://') || url.startsWith('wss://')) {
         const parsed = new URL(url);
-        host = parsed.hostname;
-        port = parsed.port || (url.startsWith('wss://') ? 443 : 80);
+        secure = url.startsWith('wss://');
+        host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+        port = parseInt(parsed.port) || (secure ? 443 : 80);
         path = parsed.pathname + parsed.search;
     } else {
         host = url;
@@ -396,6 +372,7 @@ export async function connect(url, options = {}) {
         port,
         path,
         ...options,
+        secure,
     });
     
     await client.connect();
@@ -6,6 +6,8 @@
  */
 
 import crypto from 'crypto';
+import { formatHostHeader } from '../utils/validators.js';
+import { mergeHeaders } from '../utils/headers.js';
 
 /**
  * WebSocket opcodes
@@ -44,28 +46,33 @@ export function calculateAcceptKey(key) {
  * Build HTTP upgrade handshake request
  * @param {object} options - Handshake options
  * @param {string} options.host - Target host
+ * @param {number} options.port - Target port
+ * @param {boolean} options.secure - wss (for the default port in Host)
  * @param {string} options.path - WebSocket path
  * @param {string} options.key - WebSocket key
  * @param {string[]} options.protocols - Subprotocols
- * @param {string[]} options.headers - Custom headers
+ * @param {string[]} options.headers - Custom headers (-H values)
  * @returns {string} - HTTP request string
  */
 export function buildHandshake(options) {
-    const { host, path = '/', key, protocols = [], headers = [] } = options;
+    const { host, port = 80, secure = false, path = '/', key, protocols = [], headers = [] } = options;
     
-    let request = `GET ${path} HTTP/1.1\r\n`;
-    request += `Host: ${host}\r\n`;
-    request += `Upgrade: websocket\r\n`;
-    request += `Connection: Upgrade\r\n`;
-    request += `Sec-WebSocket-Key: ${key}\r\n`;
-    request += `Sec-WebSocket-Version: 13\r\n`;
+    // Custom headers may replace or remove these (see mergeHeaders)
+    const defaults = [
+        ['Host', formatHostHeader(host, port, secure ? 'wss' : 'ws')],
+        ['Upgrade', 'websocket'],
+        ['Connection', 'Upgrade'],
+        ['Sec-WebSocket-Key', key],
+        ['Sec-WebSocket-Version', '13'],
+    ];
     
     if (protocols.length > 0) {
-        request += `Sec-WebSocket-Protocol: ${protocols.join(', ')}\r\n`;
+        defaults.push(['Sec-WebSocket-Protocol', protocols.join(', ')]);
     }
     
-    for (const header of headers) {
-        request += `${header}\r\n`;
+    let request = `GET ${path} HTTP/1.1\r\n`;
+    for (const line of mergeHeaders(headers, defaults)) {
+        request += `${line}\r\n`;
     }
     
     request += `\r\n`;